@@ -2,23 +2,44 @@
 
 class QdrawApp {
     constructor() {
-        this.interpreter = new QdrawInterpreter(8, 8);
+        this.palette = QdrawPalette.DEFAULT;
+        this.interpreter = new QdrawInterpreter(8, 8, this.palette);
         this.editor = null;
         this.monaco = null;
         
         // Elementos del DOM
         this.boardElement = document.getElementById('board');
         this.statusMessage = document.getElementById('statusMessage');
+        this.problemsList = document.getElementById('problemsList');
         this.statusIndicator = document.getElementById('statusIndicator');
         this.headPosition = document.getElementById('headPosition');
+        this.inspectorStack = document.getElementById('inspectorStack');
+
+        // Repetición
+        this.replayBar = document.getElementById('replayBar');
+        this.replaySlider = document.getElementById('replaySlider');
+        this.replayLabel = document.getElementById('replayLabel');
+        this.replayFirstBtn = document.getElementById('replayFirstBtn');
+        this.replayPrevBtn = document.getElementById('replayPrevBtn');
+        this.replayPlayBtn = document.getElementById('replayPlayBtn');
+        this.replayNextBtn = document.getElementById('replayNextBtn');
+        this.replayLastBtn = document.getElementById('replayLastBtn');
         
         // Botones
         this.runBtn = document.getElementById('runBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.stepIntoBtn = document.getElementById('stepIntoBtn');
+        this.stepOverBtn = document.getElementById('stepOverBtn');
+        this.stepOutBtn = document.getElementById('stepOutBtn');
         this.resetBtn = document.getElementById('resetBtn');
         this.toggleViewBtn = document.getElementById('toggleViewBtn');
         this.exportBtn = document.getElementById('exportBtn');
+        this.exportProjectBtn = document.getElementById('exportProjectBtn');
         this.importBtn = document.getElementById('importBtn');
+        this.exportPngBtn = document.getElementById('exportPngBtn');
+        this.exportSvgBtn = document.getElementById('exportSvgBtn');
+        this.exportGifBtn = document.getElementById('exportGifBtn');
         this.fileInput = document.getElementById('fileInput');
         
         // Controles
@@ -26,6 +47,16 @@ class QdrawApp {
         this.widthInput = document.getElementById('widthInput');
         this.heightInput = document.getElementById('heightInput');
         this.resizeBtn = document.getElementById('resizeBtn');
+        this.modeSelect = document.getElementById('modeSelect');
+        this.ballColorSelect = document.getElementById('ballColorSelect');
+
+        // Verificación
+        this.loadCasesBtn = document.getElementById('loadCasesBtn');
+        this.addCaseBtn = document.getElementById('addCaseBtn');
+        this.exportCasesBtn = document.getElementById('exportCasesBtn');
+        this.verifyBtn = document.getElementById('verifyBtn');
+        this.casesInput = document.getElementById('casesInput');
+        this.graderResults = document.getElementById('graderResults');
 
         // Estado
         this.isShiftPressed = false;
@@ -34,13 +65,31 @@ class QdrawApp {
         this.finalBoard = null;
         this.showingInitial = false;
         this.errorDecorations = [];
+        this.diagnosticsTimer = null;
+        this.linter = new QdrawLinter(); // Advertencias de estilo (todas las reglas)
+        this.breakpointDecorations = [];
+        this.currentLineDecorations = [];
         this.currentExecutor = null;
+        this.trace = null;
+        this.replayPosition = 0;
+        this.replayTimer = null;
+        this.gradingCases = [];
+        this.gradingReport = null;
+        this.isGrading = false;
+        this.isExportingGif = false;
+        this.mismatchedCells = null;
+        this.projectBoard = null;
+        this.boardRenderer = new QdrawBoardRenderer(this.boardElement, this.palette);
+        this.stepRenderPending = false;
+        this.hoverCell = null;
         
         this.init();
     }
 
     async init() {
         await this.initMonacoEditor();
+        this.updateCellSize();
+        this.renderBallColors();
         this.renderBoard();
         this.updateStatus();
         this.attachEventListeners();
@@ -74,6 +123,7 @@ class QdrawApp {
                     scrollBeyondLastLine: false,
                     automaticLayout: true,
                     folding: false,
+                    glyphMargin: true,
                     lineNumbers: 'on',
                     renderLineHighlight: 'all',
                     bracketPairColorization: { enabled: true },
@@ -88,6 +138,15 @@ class QdrawApp {
                 this.editor.onDidChangeModelContent(() => {
                     this.updateControls();
                     this.clearErrors();
+                    this.scheduleDiagnostics();
+                });
+                this.updateDiagnostics();
+
+                // Click en el margen: alternar punto de interrupción
+                this.editor.onMouseDown((e) => {
+                    if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+                        this.toggleBreakpoint(e.target.position.lineNumber);
+                    }
                 });
 
                 resolve();
@@ -104,6 +163,8 @@ class QdrawApp {
             comments: {
                 blockComment: ['/*', '*/']
             },
+            // Los sensores terminan en '?' y forman parte de la palabra
+            wordPattern: /[a-zA-Z_]\w*\??/,
             brackets: [
                 ['{', '}'],
                 ['(', ')']
@@ -125,19 +186,60 @@ class QdrawApp {
             }
         });
 
-        // Configurar Tokenizador
+        this.registerHighlighting();
+
+        // Definir tema
+        monaco.editor.defineTheme('qdraw-theme', {
+            base: 'vs',
+            inherit: true,
+            rules: [
+                { token: 'keyword', foreground: '0000FF', fontStyle: 'bold' },
+                { token: 'command', foreground: '098658', fontStyle: 'bold' },
+                { token: 'sensor', foreground: 'AF00DB' },
+                { token: 'number', foreground: '098658' },
+                { token: 'literal', foreground: 'A31515' },
+                { token: 'comment', foreground: '008000', fontStyle: 'italic' },
+                { token: 'identifier', foreground: '001080' }
+            ],
+            colors: {
+                'editor.foreground': '#000000',
+                'editor.background': '#FFFFFF',
+                'editorLineNumber.foreground': '#237893',
+                'editor.selectionBackground': '#ADD6FF',
+                'editor.inactiveSelectionBackground': '#E5EBF1'
+            }
+        });
+
+        this.registerLanguageProviders();
+    }
+
+    // Resaltado de sintaxis. Los comandos, sensores y valores de color salen
+    // de la paleta: se vuelve a registrar cuando cambia (al abrir un proyecto).
+    registerHighlighting() {
+        const colors = this.palette.colors.map(color => color.literal);
+        const colorNames = colors.join('|');
+
         monaco.languages.setMonarchTokensProvider('qdraw', {
             keywords: [
-                'programa', 'procedimiento', 'si', 'sino', 
-                'repetir', 'veces'
+                'programa', 'procedimiento', 'funcion', 'devolver', 'si', 'sino', 
+                'repetir', 'veces', 'mientras', 'no', 'y', 'o', 'div', 'mod', 'variable'
             ],
             commands: [
                 'MoverArriba', 'MoverAbajo', 'MoverDerecha', 'MoverIzquierda',
-                'PintarNegro', 'PintarRojo', 'PintarVerde', 'Limpiar'
+                ...colors.map(color => `Pintar${color}`), 'Limpiar',
+                'Mover', 'Pintar', 'Poner', 'Sacar'
             ],
             sensors: [
-                'estaVacia?', 'estaPintadaDeNegro?', 
-                'estaPintadaDeRojo?', 'estaPintadaDeVerde?'
+                'estaVacia?',
+                ...colors.map(color => `estaPintadaDe${color}?`),
+                ...colors.map(color => `hayBolitasDe${color}?`),
+                'puedeMoverArriba?', 'puedeMoverAbajo?',
+                'puedeMoverDerecha?', 'puedeMoverIzquierda?'
+            ],
+            queries: ['anchoTablero', 'altoTablero', 'posicionX', 'posicionY'],
+            literals: [
+                'Arriba', 'Abajo', 'Derecha', 'Izquierda',
+                ...colors
             ],
             
             tokenizer: {
@@ -146,22 +248,32 @@ class QdrawApp {
                     [/\/\*/, 'comment', '@comment'],
                     
                     // Keywords
-                    [/\b(programa|procedimiento|si|sino|repetir|veces)\b/, 'keyword'],
+                    [/\b(programa|procedimiento|funcion|devolver|si|sino|repetir|veces|mientras|no|y|o|div|mod|variable)\b/, 'keyword'],
                     
                     // Comandos
-                    [/\b(Mover(Arriba|Abajo|Derecha|Izquierda)|Pintar(Negro|Rojo|Verde)|Limpiar)\b/, 'command'],
+                    [new RegExp(`\\b(Mover(Arriba|Abajo|Derecha|Izquierda)?|Pintar(${colorNames})?|Limpiar|Poner|Sacar)\\b`), 'command'],
                     
                     // Sensores
-                    [/\b(estaVacia\?|estaPintada(DeNegro|DeRojo|DeVerde)\?)\b/, 'sensor'],
+                    [new RegExp(`\\b(estaVacia\\?|(estaPintadaDe|hayBolitasDe)(${colorNames})\\?|puedeMover(Arriba|Abajo|Derecha|Izquierda)\\?)`), 'sensor'],
+                    
+                    // Consultas numéricas
+                    [/\b(anchoTablero|altoTablero|posicionX|posicionY)\b/, 'sensor'],
+                    
+                    // Direcciones y colores (argumentos)
+                    [new RegExp(`\\b(Arriba|Abajo|Derecha|Izquierda|${colorNames})\\b`), 'literal'],
                     
                     // Números
                     [/\d+/, 'number'],
                     
-                    // Identificadores
-                    [/[a-zA-Z_]\w*/, 'identifier'],
+                    // Identificadores (los sensores propios terminan en '?')
+                    [/[a-zA-Z_]\w*\??/, 'identifier'],
                     
                     // Delimitadores
                     [/[{}()\[\]]/, '@brackets'],
+                    [/,/, 'delimiter'],
+                    
+                    // Operadores aritméticos, asignación y comparaciones
+                    [/:=|==|!=|<=|>=|[<>+\-*]/, 'keyword'],
                     
                     // Espacios en blanco
                     [/\s+/, 'white']
@@ -174,26 +286,172 @@ class QdrawApp {
                 ]
             }
         });
+    }
 
-        // Definir tema
-        monaco.editor.defineTheme('qdraw-theme', {
-            base: 'vs',
-            inherit: true,
-            rules: [
-                { token: 'keyword', foreground: '0000FF', fontStyle: 'bold' },
-                { token: 'command', foreground: '098658', fontStyle: 'bold' },
-                { token: 'sensor', foreground: 'AF00DB' },
-                { token: 'number', foreground: '098658' },
-                { token: 'comment', foreground: '008000', fontStyle: 'italic' },
-                { token: 'identifier', foreground: '001080' }
-            ],
-            colors: {
-                'editor.foreground': '#000000',
-                'editor.background': '#FFFFFF',
-                'editorLineNumber.foreground': '#237893',
-                'editor.selectionBackground': '#ADD6FF',
-                'editor.inactiveSelectionBackground': '#E5EBF1'
+    // Autocompletado, documentación al pasar el mouse, ayuda de parámetros,
+    // navegación entre definiciones y llamadas de procedimientos y formato
+    registerLanguageProviders() {
+        const analyze = (model) => QdrawDiagnostics.analyze(model.getValue(), { palette: this.palette }).ast;
+        const toRange = (range) => new monaco.Range(range.line, range.column, range.endLine, range.endColumn);
+        const kinds = {
+            command: monaco.languages.CompletionItemKind.Function,
+            sensor: monaco.languages.CompletionItemKind.Property,
+            keyword: monaco.languages.CompletionItemKind.Keyword,
+            literal: monaco.languages.CompletionItemKind.EnumMember,
+            query: monaco.languages.CompletionItemKind.Variable,
+            snippet: monaco.languages.CompletionItemKind.Snippet,
+            procedure: monaco.languages.CompletionItemKind.Method
+        };
+
+        monaco.languages.registerCompletionItemProvider('qdraw', {
+            provideCompletionItems: (model, position) => {
+                const word = model.getWordUntilPosition(position);
+                const range = new monaco.Range(
+                    position.lineNumber, word.startColumn,
+                    position.lineNumber, word.endColumn
+                );
+
+                const suggestions = QdrawLanguage.getCompletions(analyze(model), this.palette).map(item => ({
+                    label: item.label,
+                    kind: kinds[item.kind],
+                    detail: item.detail,
+                    documentation: item.documentation,
+                    insertText: item.insertText,
+                    insertTextRules: item.isSnippet
+                        ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+                        : undefined,
+                    range
+                }));
+
+                return { suggestions };
+            }
+        });
+
+        monaco.languages.registerHoverProvider('qdraw', {
+            provideHover: (model, position) => {
+                const word = model.getWordAtPosition(position);
+                if (!word) {
+                    return null;
+                }
+
+                const range = new monaco.Range(
+                    position.lineNumber, word.startColumn,
+                    position.lineNumber, word.endColumn
+                );
+
+                const builtin = QdrawLanguage.findBuiltin(word.word, this.palette);
+                if (builtin) {
+                    return {
+                        range,
+                        contents: [
+                            { value: '```qdraw\n' + builtin.signature + '\n```' },
+                            { value: builtin.documentation }
+                        ]
+                    };
+                }
+
+                const ast = analyze(model);
+                const proc = QdrawLanguage.findDefinition(ast, word.word);
+                if (proc) {
+                    const calls = QdrawLanguage.findReferences(ast, proc.name, false).length;
+                    return {
+                        range,
+                        contents: [
+                            { value: '```qdraw\n' + QdrawLanguage.describeProcedure(proc) + '\n```' },
+                            { value: `Definido en la línea ${proc.line}. Llamadas: ${calls}` }
+                        ]
+                    };
+                }
+
+                return null;
+            }
+        });
+
+        monaco.languages.registerSignatureHelpProvider('qdraw', {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [','],
+            provideSignatureHelp: (model, position) => {
+                const textBefore = model.getValueInRange(new monaco.Range(
+                    1, 1, position.lineNumber, position.column
+                ));
+                const context = QdrawLanguage.findCallContext(textBefore);
+                if (!context) {
+                    return null;
+                }
+
+                const signature = QdrawLanguage.getSignature(analyze(model), context.name);
+                if (!signature) {
+                    return null;
+                }
+
+                return {
+                    value: {
+                        signatures: [{
+                            label: signature.label,
+                            documentation: signature.documentation,
+                            parameters: signature.params.map(param => ({ label: param }))
+                        }],
+                        activeSignature: 0,
+                        activeParameter: Math.min(context.activeParameter, Math.max(signature.params.length - 1, 0))
+                    },
+                    dispose: () => {}
+                };
+            }
+        });
+
+        monaco.languages.registerDefinitionProvider('qdraw', {
+            provideDefinition: (model, position) => {
+                const ast = analyze(model);
+                const symbol = QdrawLanguage.findSymbolAt(ast, position.lineNumber, position.column);
+                const proc = symbol && QdrawLanguage.findDefinition(ast, symbol.name);
+                if (!proc) {
+                    return null;
+                }
+
+                return { uri: model.uri, range: toRange(proc.range) };
+            }
+        });
+
+        monaco.languages.registerReferenceProvider('qdraw', {
+            provideReferences: (model, position, context) => {
+                const ast = analyze(model);
+                const symbol = QdrawLanguage.findSymbolAt(ast, position.lineNumber, position.column);
+                if (!symbol) {
+                    return [];
+                }
+
+                return QdrawLanguage.findReferences(ast, symbol.name, context.includeDeclaration)
+                    .map(range => ({ uri: model.uri, range: toRange(range) }));
+            }
+        });
+
+        // El formateador reescribe el archivo completo (también al pegar y al
+        // cerrar un bloque). Con errores de sintaxis no cambia nada: los
+        // errores ya están marcados en el editor.
+        const formatDocument = (model, options) => {
+            let formatted;
+            try {
+                formatted = QdrawFormatter.format(model.getValue(), {
+                    indent: options.insertSpaces ? ' '.repeat(options.tabSize) : '\t',
+                    palette: this.palette
+                });
+            } catch (error) {
+                return [];
             }
+            return [{ range: model.getFullModelRange(), text: formatted }];
+        };
+
+        monaco.languages.registerDocumentFormattingEditProvider('qdraw', {
+            provideDocumentFormattingEdits: (model, options) => formatDocument(model, options)
+        });
+
+        monaco.languages.registerDocumentRangeFormattingEditProvider('qdraw', {
+            provideDocumentRangeFormattingEdits: (model, range, options) => formatDocument(model, options)
+        });
+
+        monaco.languages.registerOnTypeFormattingEditProvider('qdraw', {
+            autoFormatTriggerCharacters: ['}'],
+            provideOnTypeFormattingEdits: (model, position, ch, options) => formatDocument(model, options)
         });
     }
 
@@ -205,92 +463,97 @@ class QdrawApp {
     // RENDERIZADO DEL TABLERO
     // =====================================================
 
+    // Cambia los colores disponibles: intérprete, resaltado y dibujo del tablero
+    setPalette(palette) {
+        this.palette = palette;
+        this.interpreter.palette = palette;
+        this.registerHighlighting();
+        this.boardRenderer.setPalette(palette);
+        this.renderBallColors();
+    }
+
+    // Cambia el modo del tablero. Las celdas de un modo no sirven en el otro,
+    // así que el tablero queda vacío (y la última ejecución ya no se puede repetir).
+    setBoardMode(mode) {
+        this.projectBoard = null;
+        this.interpreter.mode = mode;
+        this.interpreter.grid = this.interpreter.createGrid();
+        this.interpreter.state = 'editing';
+        this.clearReplay();
+        this.mismatchedCells = null;
+        this.initialBoard = null;
+        this.finalBoard = null;
+        this.showingInitial = false;
+        this.toggleViewBtn.style.display = 'none';
+        this.modeSelect.value = mode;
+        this.ballColorSelect.style.display = mode === BOARD_MODES.BOLITAS ? '' : 'none';
+    }
+
+    // Opciones del color de bolita que se pone con click
+    renderBallColors() {
+        const selected = this.ballColorSelect.value;
+        this.ballColorSelect.innerHTML = '';
+        for (const color of this.palette.colors) {
+            const option = document.createElement('option');
+            option.value = color.name;
+            option.textContent = color.literal;
+            this.ballColorSelect.appendChild(option);
+        }
+        if (this.palette.has(selected)) {
+            this.ballColorSelect.value = selected;
+        }
+    }
+
+    // Lee el lado de las celdas de styles.css (--cell-size cambia con el ancho de la ventana)
+    updateCellSize() {
+        const size = parseInt(getComputedStyle(this.boardElement).getPropertyValue('--cell-size'));
+        this.boardRenderer.setCellSize(size);
+    }
+
+    // Dibuja el tablero en el canvas (solo repinta las celdas que cambiaron)
     renderBoard() {
-        this.boardElement.innerHTML = '';
-        this.boardElement.style.gridTemplateColumns = `repeat(${this.interpreter.width}, 45px)`;
-        this.boardElement.style.gridTemplateRows = `repeat(${this.interpreter.height}, 45px)`;
-
-        // Crear celdas (de arriba hacia abajo)
-        for (let y = this.interpreter.height - 1; y >= 0; y--) {
-            for (let x = 0; x < this.interpreter.width; x++) {
-                const cell = document.createElement('div');
-                cell.className = 'cell';
-                cell.dataset.x = x;
-                cell.dataset.y = y;
-
-                const color = this.interpreter.getCellColor(x, y);
-                if (color) {
-                    cell.classList.add(color);
-                }
+        this.boardRenderer.render(this.boardView());
+        this.updateBoardState();
+    }
 
-                if (x === this.interpreter.headX && y === this.interpreter.headY) {
-                    cell.classList.add('head');
-                }
+    // El tablero tal como se muestra (también es lo que se exporta como imagen)
+    boardView() {
+        return {
+            width: this.interpreter.width,
+            height: this.interpreter.height,
+            mode: this.interpreter.mode,
+            grid: this.interpreter.grid,
+            headX: this.interpreter.headX,
+            headY: this.interpreter.headY,
+            mismatched: this.mismatchedCells
+        };
+    }
+
+    // Durante la ejecución se dibuja a lo sumo una vez por cuadro de animación:
+    // en modo instantáneo los pasos no esperan, y redibujar en cada uno sería
+    // trabajo que el navegador nunca llega a mostrar
+    scheduleStepRender() {
+        if (this.stepRenderPending) return;
+        this.stepRenderPending = true;
 
-                cell.addEventListener('click', (e) => this.handleCellClick(e, x, y));
+        requestAnimationFrame(() => {
+            this.stepRenderPending = false;
+            this.renderBoard();
 
-                this.boardElement.appendChild(cell);
+            // Si la ejecución ya terminó, el estado final lo muestra runProgram
+            if (this.currentExecutor) {
+                this.updateStatus();
+                this.renderInspector();
             }
-        }
-        
-        this.addBoardCoordinates();
-        this.updateBoardState();
+        });
     }
-    
-    addBoardCoordinates() {
-        const wrapper = document.querySelector('.board-wrapper');
-        const oldCoords = wrapper.querySelectorAll('.board-coordinates');
-        oldCoords.forEach(coord => coord.remove());
-        
-        // Coordenadas superiores (X)
-        const topCoords = document.createElement('div');
-        topCoords.className = 'board-coordinates coord-top';
-        for (let x = 0; x < this.interpreter.width; x++) {
-            const span = document.createElement('span');
-            span.textContent = x;
-            span.style.width = '45px';
-            span.style.textAlign = 'center';
-            topCoords.appendChild(span);
-        }
-        wrapper.appendChild(topCoords);
-        
-        // Coordenadas inferiores (X)
-        const bottomCoords = document.createElement('div');
-        bottomCoords.className = 'board-coordinates coord-bottom';
-        for (let x = 0; x < this.interpreter.width; x++) {
-            const span = document.createElement('span');
-            span.textContent = x;
-            span.style.width = '45px';
-            span.style.textAlign = 'center';
-            bottomCoords.appendChild(span);
-        }
-        wrapper.appendChild(bottomCoords);
-        
-        // Coordenadas izquierdas (Y)
-        const leftCoords = document.createElement('div');
-        leftCoords.className = 'board-coordinates coord-left';
-        for (let y = this.interpreter.height - 1; y >= 0; y--) {
-            const span = document.createElement('span');
-            span.textContent = y;
-            span.style.height = '45px';
-            span.style.display = 'flex';
-            span.style.alignItems = 'center';
-            leftCoords.appendChild(span);
-        }
-        wrapper.appendChild(leftCoords);
-        
-        // Coordenadas derechas (Y)
-        const rightCoords = document.createElement('div');
-        rightCoords.className = 'board-coordinates coord-right';
-        for (let y = this.interpreter.height - 1; y >= 0; y--) {
-            const span = document.createElement('span');
-            span.textContent = y;
-            span.style.height = '45px';
-            span.style.display = 'flex';
-            span.style.alignItems = 'center';
-            rightCoords.appendChild(span);
-        }
-        wrapper.appendChild(rightCoords);
+
+    // Celda bajo el mouse, resaltada solo mientras se edita el tablero
+    updateBoardHover() {
+        const hover = this.hoverCell && this.interpreter.state === 'editing'
+            ? { ...this.hoverCell, teleport: this.isShiftPressed }
+            : null;
+        this.boardRenderer.setHover(hover);
     }
 
     updateBoardState() {
@@ -310,38 +573,42 @@ class QdrawApp {
                 this.boardElement.classList.add('no-teleport');
                 break;
         }
+
+        this.updateBoardHover();
     }
 
+    // Tras editar el tablero, la traza de una ejecución detenida ya no
+    // corresponde a lo que se ve: se deja de poder repetir
     handleCellClick(e, x, y) {
         if (this.interpreter.state !== 'editing') return;
         
         if (this.isShiftPressed) {
             // Teletransportar cabezal
             if (this.interpreter.teleport(x, y)) {
+                this.clearReplay();
                 this.renderBoard();
                 this.updateStatus();
+                this.scheduleDiagnostics();
             }
-        } else {
-            // Ciclar colores: Vacío -> rojo -> verde -> negro -> Vacío
-            const currentColor = this.interpreter.getCellColor(x, y);
-            let newColor;
-            
-            if (currentColor === null) {
-                newColor = 'rojo';
-            } else if (currentColor === 'rojo') {
-                newColor = 'verde';
-            } else if (currentColor === 'verde') {
-                newColor = 'negro';
+        } else if (this.interpreter.mode === BOARD_MODES.BOLITAS) {
+            // Poner una bolita del color elegido (Alt + Click la saca)
+            if (e.altKey) {
+                this.interpreter.removeBall(x, y, this.ballColorSelect.value);
             } else {
-                newColor = null;
+                this.interpreter.addBall(x, y, this.ballColorSelect.value);
             }
-            
-            this.interpreter.grid[y][x] = newColor;
+            this.clearReplay();
+            this.renderBoard();
+        } else {
+            // Ciclar colores en el orden de la paleta: Vacío -> rojo -> verde -> ... -> Vacío
+            this.interpreter.grid[y][x] = this.palette.next(this.interpreter.getCellColor(x, y));
+            this.clearReplay();
             this.renderBoard();
         }
     }
     
     resizeBoard(width, height) {
+        this.projectBoard = null;
         this.interpreter.width = width;
         this.interpreter.height = height;
         this.interpreter.grid = this.interpreter.createGrid();
@@ -355,8 +622,10 @@ class QdrawApp {
         }
         
         this.interpreter.state = 'editing';
+        this.clearReplay(); // La traza es de otro tamaño de tablero
         this.renderBoard();
         this.updateStatus('Tablero redimensionado');
+        this.scheduleDiagnostics();
     }
 
     // =====================================================
@@ -384,15 +653,21 @@ class QdrawApp {
                 }
                 break;
             case 'running':
-                this.statusIndicator.classList.add('status-running');
-                this.statusIndicator.textContent = 'Ejecutando...';
-                this.statusMessage.textContent = 'Programa en ejecución...';
+                if (this.currentExecutor && this.currentExecutor.paused) {
+                    this.statusIndicator.classList.add('status-paused');
+                    this.statusIndicator.textContent = 'Pausado';
+                    this.statusMessage.textContent = message || 'Ejecución pausada';
+                } else {
+                    this.statusIndicator.classList.add('status-running');
+                    this.statusIndicator.textContent = 'Ejecutando...';
+                    this.statusMessage.textContent = 'Programa en ejecución...';
+                }
                 this.statusMessage.classList.remove('error');
                 break;
             case 'finished':
                 this.statusIndicator.classList.add('status-finished');
                 this.statusIndicator.textContent = 'Finalizado';
-                this.statusMessage.textContent = 'Ejecución completada con éxito ✓';
+                this.statusMessage.textContent = message || 'Ejecución completada con éxito ✓';
                 this.statusMessage.classList.remove('error');
                 break;
             case 'error':
@@ -410,15 +685,30 @@ class QdrawApp {
         const isEditing = this.interpreter.state === 'editing';
         const isRunning = this.interpreter.state === 'running';
         const hasCode = this.editor && this.editor.getValue().trim().length > 0;
+        const isPaused = isRunning && this.currentExecutor !== null && this.currentExecutor.paused;
 
         this.runBtn.disabled = !isEditing || !hasCode;
+        this.stepIntoBtn.disabled = !(isEditing && hasCode) && !isPaused;
+        this.stepOverBtn.disabled = !isPaused;
+        this.stepOutBtn.disabled = !isPaused;
+        this.pauseBtn.textContent = isPaused ? '▶️ Continuar' : '⏸️ Pausar';
+        this.pauseBtn.title = isPaused ? 'Continuar la ejecución' : 'Pausar la ejecución';
         this.resetBtn.disabled = isRunning;
         this.widthInput.disabled = !isEditing;
         this.heightInput.disabled = !isEditing;
         this.resizeBtn.disabled = !isEditing;
+        this.modeSelect.disabled = !isEditing;
         this.speedControl.disabled = isRunning;
         this.exportBtn.disabled = isRunning;
+        this.exportProjectBtn.disabled = isRunning;
         this.importBtn.disabled = isRunning;
+        this.exportPngBtn.disabled = isRunning;
+        this.exportSvgBtn.disabled = isRunning;
+        this.exportGifBtn.disabled = isRunning || !this.trace || this.isExportingGif;
+        this.loadCasesBtn.disabled = isRunning || this.isGrading;
+        this.addCaseBtn.disabled = isRunning || !this.initialBoard || !this.finalBoard;
+        this.exportCasesBtn.disabled = this.gradingCases.length === 0;
+        this.verifyBtn.disabled = isRunning || this.isGrading || !hasCode || this.gradingCases.length === 0;
         
         if (this.editor) {
             this.editor.updateOptions({ readOnly: !isEditing });
@@ -436,39 +726,88 @@ class QdrawApp {
         this.removeBoomMessage();
     }
 
-    showError(message, lineNumber = null) {
+    showError(error) {
+        this.showErrors([error]);
+    }
+    
+    // Mostrar uno o más errores (varios solo si son de sintaxis, ver runProgram)
+    showErrors(errors) {
+        const [first] = errors;
         this.interpreter.state = 'error';
-        this.updateStatus(message);
+        this.updateStatus(errors.length === 1
+            ? first.message
+            : `El programa tiene ${errors.length} errores de sintaxis`);
         
-        if (lineNumber && this.editor) {
-            // Resaltar línea de error
-            this.errorDecorations = this.editor.deltaDecorations(this.errorDecorations, [
-                {
-                    range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+        const located = errors.filter(error => error.line);
+        if (located.length > 0 && this.editor) {
+            const decorations = [];
+            
+            for (const error of located) {
+                // Resaltar línea de error
+                decorations.push({
+                    range: new monaco.Range(error.line, 1, error.line, 1),
                     options: {
                         isWholeLine: true,
                         className: 'error-line',
                         glyphMarginClassName: 'error-glyph',
-                        glyphMarginHoverMessage: { value: message }
+                        glyphMarginHoverMessage: { value: error.message }
                     }
+                });
+                
+                if (error.column && error.endColumn) {
+                    // Subrayar el rango exacto (la instrucción, el argumento o el símbolo)
+                    decorations.push({
+                        range: new monaco.Range(error.line, error.column, error.endLine, error.endColumn),
+                        options: { inlineClassName: 'error-range' }
+                    });
                 }
-            ]);
+            }
+            
+            this.errorDecorations = this.editor.deltaDecorations(this.errorDecorations, decorations);
             
-            // Desplazarse a la línea de error
-            this.editor.revealLineInCenter(lineNumber);
+            // Desplazarse al primer error
+            this.editor.revealLineInCenter(located[0].line);
         }
         
-        this.showBoomMessage(message);
+        if (errors.length === 1) {
+            this.showBoomMessage(this.getErrorTitle(first), first.message, first.callStack);
+        } else {
+            const summary = errors.map(error => error.message.split('\n')[0]).join('\n');
+            this.showBoomMessage(`${errors.length} errores de sintaxis`, summary);
+        }
+    }
+    
+    // Título del cartel según el tipo de error
+    getErrorTitle(error) {
+        if (error instanceof QdrawBoomError) {
+            return 'BOOM';
+        }
+        if (error instanceof QdrawLimitError) {
+            return 'Límite excedido';
+        }
+        if (error instanceof QdrawLexicalError || error instanceof QdrawSyntaxError) {
+            return 'Error de sintaxis';
+        }
+        return 'Error';
     }
     
-    showBoomMessage(message) {
+    showBoomMessage(title, message, callStack = null) {
         const container = document.querySelector('.board-container');
         const boomDiv = document.createElement('div');
         boomDiv.className = 'boom-message';
         boomDiv.id = 'boomMessage';
+        
+        // Pila de llamadas al momento del error: programa → a (línea 2) → b (línea 7)
+        let stackHtml = '';
+        if (callStack && callStack.length > 0) {
+            const frames = callStack.map(frame => `${frame.name} (línea ${frame.line})`);
+            stackHtml = `<div class="boom-stack">Pila: ${this.escapeHtml(['programa', ...frames].join(' → '))}</div>`;
+        }
+        
         boomDiv.innerHTML = `
-            <div class="boom-title"><span class="boom-icon">✗</span>BOOM</div>
+            <div class="boom-title"><span class="boom-icon">✗</span>${this.escapeHtml(title)}</div>
             <div class="boom-text">${this.escapeHtml(message)}</div>
+            ${stackHtml}
         `;
         container.appendChild(boomDiv);
     }
@@ -486,6 +825,67 @@ class QdrawApp {
         return div.innerHTML;
     }
 
+    // =====================================================
+    // DIAGNÓSTICOS EN VIVO
+    // =====================================================
+
+    // Analizar el código un momento después de la última tecla
+    scheduleDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = setTimeout(() => this.updateDiagnostics(), 300);
+    }
+
+    // Subrayar en el editor los errores de sintaxis y de procedimientos
+    updateDiagnostics() {
+        this.diagnosticsTimer = null;
+        // El BOOM previsto depende del tablero y del cabezal actuales
+        const predictor = new QdrawBoomPredictor({
+            width: this.interpreter.width,
+            height: this.interpreter.height,
+            headX: this.interpreter.headX,
+            headY: this.interpreter.headY
+        });
+        const { diagnostics } = QdrawDiagnostics.analyze(this.editor.getValue(), {
+            palette: this.palette,
+            linter: this.linter,
+            predictor
+        });
+
+        const markers = diagnostics.map(diagnostic => ({
+            severity: diagnostic.severity === DIAGNOSTIC_SEVERITY.WARNING
+                ? monaco.MarkerSeverity.Warning
+                : monaco.MarkerSeverity.Error,
+            message: diagnostic.message,
+            code: diagnostic.rule,
+            startLineNumber: diagnostic.line,
+            startColumn: diagnostic.column,
+            endLineNumber: diagnostic.endLine,
+            endColumn: diagnostic.endColumn
+        }));
+
+        monaco.editor.setModelMarkers(this.editor.getModel(), 'qdraw', markers);
+        this.renderProblems(diagnostics);
+    }
+
+    // Lista de problemas en el panel de estado; click para ir al código
+    renderProblems(diagnostics) {
+        this.problemsList.innerHTML = '';
+        this.problemsList.hidden = diagnostics.length === 0;
+
+        for (const diagnostic of diagnostics) {
+            const item = document.createElement('li');
+            item.className = diagnostic.severity;
+            item.textContent = `Línea ${diagnostic.line}: ${diagnostic.message.split('\n')[0]}`;
+            item.title = diagnostic.message;
+            item.addEventListener('click', () => {
+                this.editor.setPosition({ lineNumber: diagnostic.line, column: diagnostic.column });
+                this.editor.revealLineInCenter(diagnostic.line);
+                this.editor.focus();
+            });
+            this.problemsList.appendChild(item);
+        }
+    }
+
     // =====================================================
     // EVENTOS
     // =====================================================
@@ -497,6 +897,15 @@ class QdrawApp {
                 this.isShiftPressed = true;
                 this.updateBoardState();
             }
+
+            // Atajos de depuración
+            if (e.key === 'F10') {
+                e.preventDefault();
+                this.debugStep('over');
+            } else if (e.key === 'F11') {
+                e.preventDefault();
+                this.debugStep(e.shiftKey ? 'out' : 'into');
+            }
         });
 
         document.addEventListener('keyup', (e) => {
@@ -512,34 +921,93 @@ class QdrawApp {
         // Botón de detener
         this.stopBtn.addEventListener('click', () => this.stopProgram());
 
+        // Botones de depuración
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.stepIntoBtn.addEventListener('click', () => this.debugStep('into'));
+        this.stepOverBtn.addEventListener('click', () => this.debugStep('over'));
+        this.stepOutBtn.addEventListener('click', () => this.debugStep('out'));
+
         // Botón de reiniciar
         this.resetBtn.addEventListener('click', () => this.reset());
         
         // Botón de alternar vista
         this.toggleViewBtn.addEventListener('click', () => this.toggleView());
 
+        // Repetición de la ejecución
+        this.replayFirstBtn.addEventListener('click', () => this.seekReplay(0));
+        this.replayPrevBtn.addEventListener('click', () => this.seekReplay(this.replayPosition - 1));
+        this.replayPlayBtn.addEventListener('click', () => this.toggleReplayPlayback());
+        this.replayNextBtn.addEventListener('click', () => this.seekReplay(this.replayPosition + 1));
+        this.replayLastBtn.addEventListener('click', () => this.seekReplay(this.trace.length));
+        this.replaySlider.addEventListener('input', () => this.seekReplay(parseInt(this.replaySlider.value)));
+
         // Botón de redimensionar
         this.resizeBtn.addEventListener('click', () => {
             const width = parseInt(this.widthInput.value);
             const height = parseInt(this.heightInput.value);
             
-            if (width >= 1 && width <= 30 && height >= 1 && height <= 30) {
+            const min = QDRAW_CONFIG.MIN_BOARD_SIZE;
+            const max = QDRAW_CONFIG.MAX_BOARD_SIZE;
+            
+            if (width >= min && width <= max && height >= min && height <= max) {
                 this.resizeBoard(width, height);
             } else {
-                this.updateStatus('Dimensiones inválidas (debe ser entre 1 y 30)');
+                this.updateStatus(`Dimensiones inválidas (debe ser entre ${min} y ${max})`);
             }
         });
 
+        // Modo del tablero
+        this.modeSelect.addEventListener('change', () => {
+            this.setBoardMode(this.modeSelect.value);
+            this.renderBoard();
+            this.updateStatus(this.modeSelect.value === BOARD_MODES.BOLITAS
+                ? 'Modo bolitas: click pone una bolita, Alt + Click la saca'
+                : 'Modo colores');
+            this.scheduleDiagnostics();
+        });
+
         // Botón de exportar
         this.exportBtn.addEventListener('click', () => this.exportCode());
 
+        // Botón de exportar proyecto
+        this.exportProjectBtn.addEventListener('click', () => this.exportProject());
+
+        // Exportar el tablero como imagen y la ejecución como GIF
+        this.exportPngBtn.addEventListener('click', () => this.exportBoardPng());
+        this.exportSvgBtn.addEventListener('click', () => this.exportBoardSvg());
+        this.exportGifBtn.addEventListener('click', () => this.exportExecutionGif());
+
         // Botón de importar
         this.importBtn.addEventListener('click', () => this.fileInput.click());
 
         // Entrada de archivo
         this.fileInput.addEventListener('change', (e) => this.importCode(e));
         
-        // Zoom con rueda del mouse en el tablero
+        // Panel de verificación
+        this.loadCasesBtn.addEventListener('click', () => this.casesInput.click());
+        this.casesInput.addEventListener('change', (e) => this.importCases(e));
+        this.addCaseBtn.addEventListener('click', () => this.addCaseFromLastRun());
+        this.exportCasesBtn.addEventListener('click', () => this.exportCases());
+        this.verifyBtn.addEventListener('click', () => this.verifyProgram());
+        
+        // Click en el tablero: el canvas dice qué celda se tocó
+        this.boardElement.addEventListener('click', (e) => {
+            const cell = this.boardRenderer.cellAt(e.offsetX, e.offsetY);
+            if (cell) {
+                this.handleCellClick(e, cell.x, cell.y);
+            }
+        });
+        this.boardElement.addEventListener('mousemove', (e) => {
+            this.hoverCell = this.boardRenderer.cellAt(e.offsetX, e.offsetY);
+            this.updateBoardHover();
+        });
+        this.boardElement.addEventListener('mouseleave', () => {
+            this.hoverCell = null;
+            this.updateBoardHover();
+        });
+        
+        // Zoom con rueda del mouse en el tablero (el canvas se vuelve a dibujar
+        // al nuevo tamaño, así que no se ve borroso)
         const boardContainer = document.querySelector('.board-container');
         boardContainer.addEventListener('wheel', (e) => {
             e.preventDefault();
@@ -547,17 +1015,22 @@ class QdrawApp {
             const delta = e.deltaY > 0 ? -0.1 : 0.1;
             this.zoomLevel = Math.max(0.3, Math.min(3, this.zoomLevel + delta));
             
-            const wrapper = document.querySelector('.board-wrapper');
-            wrapper.style.transform = `scale(${this.zoomLevel})`;
-            wrapper.style.transformOrigin = 'center center';
+            this.boardRenderer.setZoom(this.zoomLevel);
+            this.renderBoard();
         }, { passive: false });
+        
+        // El lado de las celdas depende del ancho de la ventana
+        window.addEventListener('resize', () => {
+            this.updateCellSize();
+            this.renderBoard();
+        });
     }
 
     // =====================================================
     // EJECUCIÓN DEL PROGRAMA
     // =====================================================
 
-    async runProgram() {
+    async runProgram({ startPaused = false } = {}) {
         const code = this.editor.getValue();
         
         if (!code.trim()) {
@@ -566,20 +1039,26 @@ class QdrawApp {
         }
 
         this.clearErrors();
+        this.clearReplay();
+        this.mismatchedCells = null;
         
         // Guardar estado inicial (incluyendo posición del cabezal)
         this.initialBoard = this.interpreter.cloneState();
         this.initialHeadX = this.interpreter.headX;
         this.initialHeadY = this.interpreter.headY;
+        const trace = new QdrawTrace(this.initialBoard);
 
         try {
-            // Tokenizar
-            const tokenizer = new QdrawTokenizer(code);
-            const tokens = tokenizer.tokenize();
-
-            // Parsear
-            const parser = new QdrawParser(tokens);
-            const ast = parser.parse();
+            // El programa se tokeniza, parsea y ejecuta en un Web Worker (ver
+            // runner.js), así un programa largo no traba la página
+            const runner = new QdrawWorkerRunner(this.interpreter, () => this.scheduleStepRender());
+            
+            // Todos los errores de sintaxis juntos
+            const syntaxErrors = await runner.load(code, this.palette);
+            if (syntaxErrors.length > 0) {
+                this.showErrors(syntaxErrors);
+                return;
+            }
 
             // Ejecutar
             this.interpreter.state = 'running';
@@ -589,22 +1068,25 @@ class QdrawApp {
             // Mostrar botón de detener, ocultar botón de ejecutar
             this.runBtn.style.display = 'none';
             this.stopBtn.style.display = 'inline-block';
+            this.pauseBtn.style.display = 'inline-block';
             
-            this.currentExecutor = new QdrawExecutor(
-                this.interpreter,
-                ast,
-                () => {
-                    this.renderBoard();
-                    this.updateStatus();
-                }
-            );
+            this.currentExecutor = runner;
+            this.attachDebugger(this.currentExecutor);
+            this.currentExecutor.trace = trace;
+            
+            if (startPaused) {
+                this.currentExecutor.pause();
+            }
 
             const result = await this.currentExecutor.execute();
             
             // Ocultar botón de detener, mostrar botón de ejecutar
             this.stopBtn.style.display = 'none';
+            this.pauseBtn.style.display = 'none';
             this.runBtn.style.display = 'inline-block';
             this.currentExecutor = null;
+            this.clearCurrentLine();
+            this.renderInspector();
 
             if (result.success) {
                 this.interpreter.state = 'finished';
@@ -615,18 +1097,23 @@ class QdrawApp {
                 this.toggleViewBtn.style.display = 'inline-block';
                 this.showingInitial = false;
             } else {
-                this.handleExecutionError(result.message);
+                this.handleExecutionError(result.error);
             }
 
+            this.showReplay(trace);
             this.renderBoard();
+            this.scheduleDiagnostics(); // El cabezal quedó en otra posición
 
         } catch (error) {
             // Ocultar botón de detener, mostrar botón de ejecutar
             this.stopBtn.style.display = 'none';
+            this.pauseBtn.style.display = 'none';
             this.runBtn.style.display = 'inline-block';
             this.currentExecutor = null;
+            this.clearCurrentLine();
+            this.renderInspector();
             
-            this.handleExecutionError(error.message);
+            this.handleExecutionError(error);
             this.renderBoard();
         }
     }
@@ -638,16 +1125,207 @@ class QdrawApp {
         }
     }
     
-    handleExecutionError(errorMessage) {
-        // Extraer número de línea del mensaje de error
-        const lineMatch = errorMessage.match(/Línea (\d+)/);
-        const lineNumber = lineMatch ? parseInt(lineMatch[1]) : null;
+    // =====================================================
+    // DEPURACIÓN
+    // =====================================================
+
+    attachDebugger(executor) {
+        executor.setBreakpoints(this.getBreakpointLines());
+
+        // Resaltar la línea en ejecución y actualizar la pila
+        // (en modo instantáneo solo al pausar)
+        executor.onStatement = (stmt) => {
+            if (this.interpreter.speed !== 0) {
+                this.highlightCurrentLine(stmt.line);
+                this.renderInspector();
+            }
+        };
+
+        executor.onPause = (stmt, reason) => {
+            const reasons = {
+                breakpoint: 'punto de interrupción',
+                step: 'paso a paso',
+                pause: 'pausa'
+            };
+            this.highlightCurrentLine(stmt.line);
+            this.editor.revealLineInCenterIfOutsideViewport(stmt.line);
+            this.renderBoard();
+            this.renderInspector();
+            this.updateStatus(`Pausado en la línea ${stmt.line} (${reasons[reason]})`);
+        };
+
+        executor.onResume = () => {
+            this.updateStatus();
+        };
+    }
+
+    // Pila de ejecución: procedimientos activos y repeticiones en curso
+    renderInspector() {
+        this.inspectorStack.innerHTML = '';
+
+        if (!this.currentExecutor) {
+            const empty = document.createElement('li');
+            empty.className = 'inspector-empty';
+            empty.textContent = 'Sin ejecución en curso';
+            this.inspectorStack.appendChild(empty);
+            return;
+        }
+
+        // La más interna primero, como en cualquier depurador
+        const activations = this.currentExecutor.getActivations().reverse();
+
+        activations.forEach((activation, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const detail = document.createElement('span');
+            detail.className = 'inspector-detail';
+            const variables = (activation.variables || []).map(variable => `${variable.name} = ${variable.value}`);
+
+            switch (activation.type) {
+                case 'call': {
+                    const args = activation.args.map(arg => `${arg.name} = ${arg.value}`).join(', ');
+                    item.className = 'inspector-call';
+                    label.textContent = `${activation.name}(${args})`;
+                    detail.textContent = `llamado en línea ${activation.line}`;
+                    break;
+                }
+                case 'loop':
+                    item.className = 'inspector-loop';
+                    label.textContent = activation.kind === 'mientras'
+                        ? `mientras: vuelta ${activation.iteration}`
+                        : `repetir: ${activation.iteration} de ${activation.count}`;
+                    detail.textContent = `línea ${activation.line}`;
+                    break;
+                default:
+                    item.className = 'inspector-program';
+                    label.textContent = activation.name;
+                    detail.textContent = `línea ${activation.line}`;
+            }
+
+            // Valores actuales de las variables del programa o de la llamada
+            if (variables.length > 0) {
+                detail.textContent += ` · ${variables.join(', ')}`;
+            }
+
+            if (index === 0) {
+                item.classList.add('current');
+            }
+
+            item.appendChild(label);
+            item.appendChild(detail);
+            this.inspectorStack.appendChild(item);
+        });
+    }
+
+    togglePause() {
+        if (!this.currentExecutor) return;
+
+        if (this.currentExecutor.paused) {
+            this.currentExecutor.resume();
+        } else {
+            this.currentExecutor.pause();
+        }
+    }
+
+    debugStep(mode) {
+        // Sin ejecución en curso, "Paso" arranca pausado en la primera instrucción
+        if (!this.currentExecutor) {
+            if (mode === 'into' && !this.stepIntoBtn.disabled) {
+                this.runProgram({ startPaused: true });
+            }
+            return;
+        }
+
+        if (!this.currentExecutor.paused) return;
+
+        switch (mode) {
+            case 'into':
+                this.currentExecutor.stepInto();
+                break;
+            case 'over':
+                this.currentExecutor.stepOver();
+                break;
+            case 'out':
+                this.currentExecutor.stepOut();
+                break;
+        }
+    }
+
+    toggleBreakpoint(lineNumber) {
+        const model = this.editor.getModel();
+        const existing = this.breakpointDecorations.filter(id => {
+            const range = model.getDecorationRange(id);
+            return range && range.startLineNumber === lineNumber;
+        });
+
+        if (existing.length > 0) {
+            this.editor.deltaDecorations(existing, []);
+            this.breakpointDecorations = this.breakpointDecorations.filter(id => !existing.includes(id));
+        } else {
+            const [id] = this.editor.deltaDecorations([], [{
+                range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+                options: {
+                    glyphMarginClassName: 'breakpoint-glyph',
+                    glyphMarginHoverMessage: { value: 'Punto de interrupción' },
+                    stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+                }
+            }]);
+            this.breakpointDecorations.push(id);
+        }
+
+        // Aplicar a la ejecución en curso
+        if (this.currentExecutor) {
+            this.currentExecutor.setBreakpoints(this.getBreakpointLines());
+        }
+    }
+
+    // Líneas actuales de los puntos de interrupción (siguen al texto al editar)
+    getBreakpointLines() {
+        const model = this.editor.getModel();
+        const lines = new Set();
+
+        for (const id of this.breakpointDecorations) {
+            const range = model.getDecorationRange(id);
+            if (range) {
+                lines.add(range.startLineNumber);
+            }
+        }
+
+        return Array.from(lines);
+    }
+
+    highlightCurrentLine(lineNumber) {
+        this.currentLineDecorations = this.editor.deltaDecorations(this.currentLineDecorations, [{
+            range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+            options: {
+                isWholeLine: true,
+                className: 'current-line',
+                glyphMarginClassName: 'current-line-glyph'
+            }
+        }]);
+    }
+
+    clearCurrentLine() {
+        if (this.currentLineDecorations.length > 0) {
+            this.currentLineDecorations = this.editor.deltaDecorations(this.currentLineDecorations, []);
+        }
+    }
+
+    handleExecutionError(error) {
+        // Detener la ejecución no es un error: volver a edición sin cartel
+        if (error instanceof QdrawCancelledError) {
+            this.interpreter.state = 'editing';
+            this.updateStatus(error.message);
+            return;
+        }
         
-        this.showError(errorMessage, lineNumber);
+        this.showError(error);
     }
 
     reset() {
         this.clearErrors();
+        this.clearReplay();
+        this.mismatchedCells = null;
         this.initialBoard = null;
         this.finalBoard = null;
         this.showingInitial = false;
@@ -656,14 +1334,18 @@ class QdrawApp {
         // Reiniciar el tablero
         this.interpreter.reset();
         
-        // Restaurar posición inicial del cabezal (si se guardó antes de ejecutar)
-        if (this.initialHeadX !== undefined && this.initialHeadY !== undefined) {
+        if (this.projectBoard) {
+            // Volver al tablero inicial del proyecto abierto
+            this.interpreter.restoreState(this.projectBoard);
+        } else if (this.initialHeadX !== undefined && this.initialHeadY !== undefined) {
+            // Restaurar posición inicial del cabezal (si se guardó antes de ejecutar)
             this.interpreter.headX = this.initialHeadX;
             this.interpreter.headY = this.initialHeadY;
         }
         
         this.renderBoard();
         this.updateStatus('Tablero reiniciado');
+        this.scheduleDiagnostics();
     }
     
     toggleView() {
@@ -671,18 +1353,117 @@ class QdrawApp {
         
         this.showingInitial = !this.showingInitial;
         
-        if (this.showingInitial) {
+        if (this.trace) {
+            // Con traza, ir al primer o último paso de la repetición
+            this.seekReplay(this.showingInitial ? 0 : this.trace.length);
+        } else if (this.showingInitial) {
             this.interpreter.restoreState(this.initialBoard);
-            this.toggleViewBtn.textContent = '🔄 Ver Final';
         } else {
             this.interpreter.restoreState(this.finalBoard);
-            this.toggleViewBtn.textContent = '🔄 Ver Inicial';
         }
         
+        this.toggleViewBtn.textContent = this.showingInitial ? '🔄 Ver Final' : '🔄 Ver Inicial';
         this.renderBoard();
         this.updateStatus();
     }
 
+    // =====================================================
+    // REPETICIÓN DE LA EJECUCIÓN
+    // =====================================================
+
+    // Mostrar la barra de repetición con la traza de la última ejecución
+    showReplay(trace) {
+        this.trace = trace;
+        this.replayPosition = trace.length;
+        this.replaySlider.max = trace.length;
+        this.replayBar.style.display = 'flex';
+        this.updateReplayBar();
+        this.updateControls(); // Ya se puede exportar el GIF
+    }
+
+    clearReplay() {
+        this.stopReplayPlayback();
+        this.trace = null;
+        this.replayPosition = 0;
+        this.replayBar.style.display = 'none';
+        this.clearCurrentLine();
+        this.updateControls();
+    }
+
+    // Ir a un paso de la traza aplicando solo las diferencias
+    seekReplay(position) {
+        if (!this.trace) return;
+
+        this.replayPosition = this.trace.seek(this.interpreter, this.replayPosition, position);
+
+        if (this.replayPosition < this.trace.length) {
+            this.removeBoomMessage();
+        }
+
+        if (this.replayPosition > 0) {
+            const step = this.trace.steps[this.replayPosition - 1];
+            this.highlightCurrentLine(step.line);
+            this.editor.revealLineInCenterIfOutsideViewport(step.line);
+        } else {
+            this.clearCurrentLine();
+        }
+
+        this.showingInitial = this.replayPosition === 0;
+        this.toggleViewBtn.textContent = this.showingInitial ? '🔄 Ver Final' : '🔄 Ver Inicial';
+
+        this.renderBoard();
+        this.updateReplayBar();
+    }
+
+    updateReplayBar() {
+        const total = this.trace.length;
+        const position = this.replayPosition;
+
+        this.replaySlider.value = position;
+        this.replayLabel.textContent = position > 0
+            ? `Paso ${position} / ${total} (línea ${this.trace.steps[position - 1].line})`
+            : `Paso 0 / ${total} (inicio)`;
+
+        const pos = this.interpreter.getHeadPosition();
+        this.headPosition.textContent = `(${pos.x}, ${pos.y})`;
+    }
+
+    toggleReplayPlayback() {
+        if (this.replayTimer) {
+            this.stopReplayPlayback();
+            return;
+        }
+
+        const delay = QdrawExecutor.getDelay(this.speedControl.value);
+
+        // En modo instantáneo no hay nada que animar
+        if (delay === 0) {
+            this.seekReplay(this.trace.length);
+            return;
+        }
+
+        if (this.replayPosition >= this.trace.length) {
+            this.seekReplay(0);
+        }
+
+        this.replayPlayBtn.textContent = '⏸️';
+        this.replayTimer = setInterval(() => {
+            if (this.replayPosition >= this.trace.length) {
+                this.stopReplayPlayback();
+                return;
+            }
+            this.seekReplay(this.replayPosition + 1);
+        }, delay);
+    }
+
+    stopReplayPlayback() {
+        if (this.replayTimer) {
+            clearInterval(this.replayTimer);
+            this.replayTimer = null;
+        }
+        this.replayPlayBtn.textContent = '▶️';
+    }
+
     // =====================================================
     // OPERACIONES DE ARCHIVO
     // =====================================================
@@ -690,17 +1471,119 @@ class QdrawApp {
     exportCode() {
         const code = this.editor.getValue();
         const blob = new Blob([code], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
+        this.downloadBlob(blob, 'programa.qdraw');
+        
+        this.updateStatus('Código exportado exitosamente');
+    }
+
+    exportProject() {
+        // Guardar el tablero inicial: si ya se ejecutó, el de antes de ejecutar
+        const board = this.interpreter.state !== 'editing' && this.initialBoard
+            ? this.initialBoard
+            : this.interpreter.cloneState();
+
+        const content = QdrawProject.serialize({
+            source: this.editor.getValue(),
+            width: this.interpreter.width,
+            height: this.interpreter.height,
+            grid: board.grid,
+            headX: board.headX,
+            headY: board.headY,
+            speed: this.speedControl.value,
+            mode: this.interpreter.mode,
+            colors: this.palette.customColors()
+        });
+
+        const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+        this.downloadBlob(blob, `programa${QDRAW_PROJECT.EXTENSION}`);
         
+        this.updateStatus('Proyecto exportado exitosamente');
+    }
+
+    async exportBoardPng() {
+        try {
+            const blob = await QdrawBoardExporter.toPng(this.boardView(), this.palette);
+            this.downloadBlob(blob, 'tablero.png');
+            this.updateStatus('Tablero exportado como PNG');
+        } catch (error) {
+            this.updateStatus(`Error al exportar: ${error.message}`);
+        }
+    }
+
+    exportBoardSvg() {
+        try {
+            const svg = QdrawBoardExporter.toSvg(this.boardView(), this.palette);
+            this.downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), 'tablero.svg');
+            this.updateStatus('Tablero exportado como SVG');
+        } catch (error) {
+            this.updateStatus(`Error al exportar: ${error.message}`);
+        }
+    }
+
+    // La última ejecución, del tablero inicial al final, a partir de la traza
+    async exportExecutionGif() {
+        if (!this.trace || this.isExportingGif) return;
+
+        this.isExportingGif = true;
+        this.updateControls();
+
+        try {
+            // Las celdas que no coinciden con un caso son del tablero final:
+            // no se marcan en la animación
+            const board = { ...this.boardView(), mismatched: null };
+            const blob = await QdrawBoardExporter.toGif(this.trace, board, this.palette, {
+                onProgress: (progress) => this.updateStatus(`Generando GIF... ${Math.round(progress * 100)}%`)
+            });
+            this.downloadBlob(blob, 'ejecucion.gif');
+            this.updateStatus('Ejecución exportada como GIF');
+        } catch (error) {
+            this.updateStatus(`Error al exportar: ${error.message}`);
+        } finally {
+            this.isExportingGif = false;
+            this.updateControls();
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'programa.qdraw';
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        
-        this.updateStatus('Código exportado exitosamente');
+    }
+
+    // Abrir un proyecto: código, dimensiones, tablero inicial, cabezal y velocidad
+    loadProject(project) {
+        this.clearErrors();
+        this.clearReplay();
+        this.mismatchedCells = null;
+        this.initialBoard = null;
+        this.finalBoard = null;
+        this.showingInitial = false;
+        this.toggleViewBtn.style.display = 'none';
+
+        this.setPalette(QdrawPalette.withColors(project.colors));
+        this.setBoardMode(project.mode);
+        this.interpreter.width = project.width;
+        this.interpreter.height = project.height;
+        this.interpreter.reset();
+        this.projectBoard = {
+            grid: project.grid,
+            headX: project.headX,
+            headY: project.headY
+        };
+        this.interpreter.restoreState(this.projectBoard);
+
+        this.widthInput.value = project.width;
+        this.heightInput.value = project.height;
+        this.speedControl.value = String(project.speed);
+
+        this.editor.setValue(this.sanitizeCode(project.source));
+        this.renderBoard();
     }
 
     importCode(event) {
@@ -708,12 +1591,12 @@ class QdrawApp {
         if (!file) return;
 
         // Validar extensión del archivo
-        const validExtensions = ['.qdraw', '.txt'];
+        const validExtensions = ['.qdraw', QDRAW_PROJECT.EXTENSION, '.txt'];
         const fileName = file.name.toLowerCase();
         const isValid = validExtensions.some(ext => fileName.endsWith(ext));
 
         if (!isValid) {
-            this.updateStatus('Error: Solo se permiten archivos .qdraw o .txt');
+            this.updateStatus('Error: Solo se permiten archivos .qdraw, .qdrawproj o .txt');
             this.fileInput.value = '';
             return;
         }
@@ -730,7 +1613,18 @@ class QdrawApp {
         reader.onload = (e) => {
             const content = e.target.result;
             
-            // Sanitizar contenido (eliminar posibles scripts maliciosos)
+            if (QdrawProject.isProjectFile(file.name)) {
+                try {
+                    this.loadProject(QdrawProject.parse(content));
+                    this.updateStatus(`Proyecto cargado desde ${file.name}`);
+                } catch (error) {
+                    this.updateStatus(`Error: ${error.message}`);
+                }
+                this.fileInput.value = '';
+                return;
+            }
+            
+            // Limitar el tamaño del contenido
             const sanitized = this.sanitizeCode(content);
             
             this.editor.setValue(sanitized);
@@ -746,11 +1640,203 @@ class QdrawApp {
         reader.readAsText(file);
     }
 
+    // El código nunca se inserta como HTML (el editor lo recibe como texto
+    // y los mensajes se escapan con escapeHtml), así que no se le quita nada:
+    // '<' y '>' son comparaciones válidas
     sanitizeCode(code) {
-        // Eliminar cualquier etiqueta HTML/script potencial (seguridad)
-        return code.replace(/<script.*?>.*?<\/script>/gis, '')
-                   .replace(/<.*?>/g, '')
-                   .substring(0, 500 * 1024); // Limitar a 500KB
+        return code.substring(0, 500 * 1024); // Limitar a 500KB
+    }
+
+    // =====================================================
+    // VERIFICACIÓN (CORRECCIÓN AUTOMÁTICA)
+    // =====================================================
+
+    importCases(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                const cases = Array.isArray(data) ? data : data.cases;
+
+                if (!Array.isArray(cases) || cases.length === 0) {
+                    throw new Error('el archivo no contiene ningún caso');
+                }
+
+                // Validar antes de aceptar los casos
+                this.gradingCases = cases.map((testCase, i) => QdrawGrader.normalizeCase(testCase, i, this.palette, this.interpreter.mode));
+                this.gradingReport = null;
+                this.renderGraderResults();
+                this.updateStatus(`${this.gradingCases.length} casos cargados desde ${file.name}`);
+            } catch (error) {
+                this.updateStatus(`Error al cargar casos: ${error.message}`);
+            }
+            this.casesInput.value = '';
+        };
+
+        reader.onerror = () => {
+            this.updateStatus('Error al leer el archivo de casos');
+            this.casesInput.value = '';
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Usa el tablero inicial y final de la última ejecución como caso esperado
+    addCaseFromLastRun() {
+        if (!this.initialBoard || !this.finalBoard) return;
+
+        this.gradingCases.push(QdrawGrader.normalizeCase({
+            name: `Caso ${this.gradingCases.length + 1}`,
+            width: this.interpreter.width,
+            height: this.interpreter.height,
+            mode: this.interpreter.mode,
+            initial: this.initialBoard,
+            expected: [this.finalBoard]
+        }, this.gradingCases.length, this.palette, this.interpreter.mode));
+
+        this.gradingReport = null;
+        this.renderGraderResults();
+        this.updateStatus(`Caso ${this.gradingCases.length} agregado desde la última ejecución`);
+    }
+
+    exportCases() {
+        const json = JSON.stringify({ cases: this.gradingCases }, null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+        this.downloadBlob(blob, 'casos.json');
+
+        this.updateStatus('Casos exportados exitosamente');
+    }
+
+    async verifyProgram() {
+        if (this.gradingCases.length === 0) return;
+
+        this.isGrading = true;
+        this.updateControls();
+        this.updateStatus('Verificando casos...');
+
+        try {
+            const grader = new QdrawGrader(this.editor.getValue(), { palette: this.palette, mode: this.interpreter.mode });
+            this.gradingReport = await grader.grade(this.gradingCases);
+            this.updateStatus(
+                `Verificación: ${this.gradingReport.passed}/${this.gradingReport.total} casos correctos`
+            );
+        } catch (error) {
+            this.gradingReport = null;
+            this.updateStatus(`Error al verificar: ${error.message}`);
+        } finally {
+            this.isGrading = false;
+            this.renderGraderResults();
+            this.updateControls();
+        }
+    }
+
+    renderGraderResults() {
+        this.graderResults.innerHTML = '';
+
+        if (this.gradingCases.length === 0) {
+            this.graderResults.innerHTML = '<div class="grader-empty">No hay casos cargados</div>';
+            return;
+        }
+
+        const report = this.gradingReport;
+        const summary = document.createElement('div');
+        summary.className = 'grader-summary';
+        summary.textContent = report
+            ? `${report.passed}/${report.total} casos correctos`
+            : `${this.gradingCases.length} casos cargados (sin verificar)`;
+        this.graderResults.appendChild(summary);
+
+        this.gradingCases.forEach((testCase, index) => {
+            const result = report ? report.results[index] : null;
+
+            const item = document.createElement('div');
+            item.className = 'grader-case';
+            if (result) {
+                item.classList.add(result.passed ? 'passed' : 'failed');
+            }
+
+            const title = document.createElement('div');
+            title.className = 'grader-case-title';
+            title.textContent = `${result ? (result.passed ? '✓' : '✗') : '•'} ${testCase.name} ` +
+                `(${testCase.width}x${testCase.height})`;
+            item.appendChild(title);
+
+            if (result && !result.passed) {
+                const detail = document.createElement('div');
+                detail.className = 'grader-case-detail';
+                detail.textContent = this.describeCaseFailure(result);
+                item.appendChild(detail);
+            }
+
+            if (result && result.finalState) {
+                item.title = 'Click para ver el tablero final de este caso';
+                item.addEventListener('click', () => this.showCaseResult(index));
+            }
+
+            this.graderResults.appendChild(item);
+        });
+    }
+
+    describeCaseFailure(result) {
+        const lines = [];
+        const maxCells = 5;
+
+        if (result.error) {
+            lines.push(result.error.split('\n')[0]);
+        }
+
+        result.mismatches.slice(0, maxCells).forEach(m => {
+            lines.push(
+                `(${m.x}, ${m.y}): se esperaba ${QdrawGrader.describeColor(m.expected)}, ` +
+                `se obtuvo ${QdrawGrader.describeColor(m.actual)}`
+            );
+        });
+
+        if (result.mismatches.length > maxCells) {
+            lines.push(`... y ${result.mismatches.length - maxCells} celdas más`);
+        }
+
+        if (result.head) {
+            lines.push(
+                `Cabezal: se esperaba (${result.head.expected.x}, ${result.head.expected.y}), ` +
+                `se obtuvo (${result.head.actual.x}, ${result.head.actual.y})`
+            );
+        }
+
+        return lines.join('\n');
+    }
+
+    // Muestra en el tablero el estado final de un caso, marcando las diferencias
+    showCaseResult(index) {
+        if (this.interpreter.state === 'running') return;
+
+        const result = this.gradingReport.results[index];
+
+        this.clearErrors();
+        this.clearReplay();
+        this.initialBoard = null;
+        this.finalBoard = null;
+        this.toggleViewBtn.style.display = 'none';
+
+        if (this.interpreter.width !== result.width || this.interpreter.height !== result.height) {
+            this.interpreter.width = result.width;
+            this.interpreter.height = result.height;
+            this.widthInput.value = result.width;
+            this.heightInput.value = result.height;
+        }
+        if (this.interpreter.mode !== result.mode) {
+            this.setBoardMode(result.mode);
+        }
+
+        this.interpreter.restoreState(result.finalState);
+        this.interpreter.state = 'finished';
+        this.mismatchedCells = new Set(result.mismatches.map(m => `${m.x},${m.y}`));
+
+        this.renderBoard();
+        this.updateStatus(`${result.name}: ${result.passed ? 'correcto' : 'incorrecto'} (Reset para volver a editar)`);
     }
 
     // async loadExample() {
@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+// =====================================================
+// QDRAW CLI - EJECUCIÓN SIN NAVEGADOR
+// =====================================================
+// Uso: node cli.js run programa.qdraw --width 10 --height 10 --head 3,4
+// Ejecuta el programa a velocidad instantánea e imprime
+// el tablero final en ASCII, la cantidad de pasos y el estado.
+// También acepta proyectos .qdrawproj (las opciones tienen prioridad).
+//
+// Uso: node cli.js grade programa.qdraw casos.json
+// Corrige el programa contra los casos de casos.json (ver grader.js).
+//
+// Uso: node cli.js format programa.qdraw [--write]
+// Imprime el código formateado o, con --write, reemplaza el archivo.
+//
+// Uso: node cli.js lint programa.qdraw [--disable regla,regla] [--width N ...]
+// Lista los errores, las advertencias de estilo (ver linter.js) y el
+// BOOM que se puede prever sin ejecutar en ese tablero (ver predictor.js).
+// =====================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    QdrawTokenizer,
+    QdrawParser,
+    QdrawInterpreter,
+    QdrawExecutor,
+    QdrawPalette,
+    BOARD_MODES
+} = require('./interpreter.js');
+const { QdrawGrader } = require('./grader.js');
+const { QdrawProject } = require('./project.js');
+const { QdrawFormatter } = require('./formatter.js');
+const { QdrawDiagnostics, DIAGNOSTIC_SEVERITY } = require('./diagnostics.js');
+const { QdrawLinter, QDRAW_LINT_RULES } = require('./linter.js');
+const { QdrawBoomPredictor } = require('./predictor.js');
+
+// Códigos de salida del proceso
+const EXIT_CODES = {
+    SUCCESS: 0,
+    EXECUTION_ERROR: 1,
+    USAGE_ERROR: 2
+};
+
+const USAGE =
+    `Uso: node cli.js run <archivo.qdraw|archivo.qdrawproj> [opciones]\n` +
+    `     node cli.js grade <archivo.qdraw|archivo.qdrawproj> <casos.json>\n` +
+    `     node cli.js format <archivo.qdraw> [--write]\n` +
+    `     node cli.js lint <archivo.qdraw|archivo.qdrawproj> [--disable reglas] [opciones de tablero]\n` +
+    `\n` +
+    `Opciones:\n` +
+    `  --width N     Ancho del tablero (por defecto 8 o el del proyecto)\n` +
+    `  --height N    Alto del tablero (por defecto 8 o el del proyecto)\n` +
+    `  --head X,Y    Posición inicial del cabezal (por defecto 0,0 o la del proyecto)\n` +
+    `  --mode M      Modo del tablero: colores o bolitas (por defecto colores o el del proyecto)\n` +
+    `  --write       (format) Reemplaza el archivo en lugar de imprimir el resultado\n` +
+    `  --disable R   (lint) Reglas a omitir, separadas por comas:\n` +
+    `                ${Object.keys(QDRAW_LINT_RULES).join(', ')}\n` +
+    `  --help        Muestra esta ayuda`;
+
+// =====================================================
+// ARGUMENTOS
+// =====================================================
+
+class UsageError extends Error {}
+
+function parseInteger(value, option) {
+    if (value === undefined || !/^\d+$/.test(value)) {
+        throw new UsageError(`La opción ${option} requiere un número entero (se recibió '${value}')`);
+    }
+    return parseInt(value, 10);
+}
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        file: null,
+        casesFile: null,
+        width: null,
+        height: null,
+        headX: null,
+        headY: null,
+        mode: null,
+        write: false,
+        disabledRules: [],
+        help: false
+    };
+
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--width':
+                options.width = parseInteger(argv[++i], arg);
+                break;
+            case '--height':
+                options.height = parseInteger(argv[++i], arg);
+                break;
+            case '--head': {
+                const value = argv[++i];
+                const match = /^(\d+),(\d+)$/.exec(value || '');
+                if (!match) {
+                    throw new UsageError(`La opción --head requiere el formato X,Y (se recibió '${value}')`);
+                }
+                options.headX = parseInt(match[1], 10);
+                options.headY = parseInt(match[2], 10);
+                break;
+            }
+            case '--mode': {
+                const value = argv[++i];
+                if (!Object.values(BOARD_MODES).includes(value)) {
+                    throw new UsageError(`La opción --mode requiere 'colores' o 'bolitas' (se recibió '${value}')`);
+                }
+                options.mode = value;
+                break;
+            }
+            case '--write':
+                options.write = true;
+                break;
+            case '--disable': {
+                const value = argv[++i];
+                const rules = (value || '').split(',').filter(Boolean);
+                const unknown = rules.filter(rule => !QDRAW_LINT_RULES[rule]);
+                if (rules.length === 0 || unknown.length > 0) {
+                    throw new UsageError(`Regla desconocida en --disable: '${unknown.join(',') || value}'`);
+                }
+                options.disabledRules.push(...rules);
+                break;
+            }
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new UsageError(`Opción desconocida: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    [options.command, options.file, options.casesFile] = positional;
+
+    const maxPositional = options.command === 'grade' ? 3 : 2;
+    if (positional.length > maxPositional) {
+        throw new UsageError(`Argumentos de más: ${positional.slice(maxPositional).join(' ')}`);
+    }
+
+    return options;
+}
+
+// =====================================================
+// SALIDA
+// =====================================================
+
+// Texto de una celda: la letra de su color o, en el modo bolitas,
+// la letra y la cantidad de cada color (R2A1 = 2 rojas y 1 azul)
+function cellSymbol(interpreter, cell) {
+    if (cell === null) {
+        return '.';
+    }
+    if (interpreter.mode === BOARD_MODES.BOLITAS) {
+        return interpreter.palette.colors
+            .filter(color => cell[color.name])
+            .map(color => `${color.symbol}${cell[color.name]}`)
+            .join('');
+    }
+    const color = interpreter.palette.get(cell);
+    return color ? color.symbol : '.';
+}
+
+// Dibuja el tablero de arriba hacia abajo, igual que la interfaz web.
+// El cabezal se marca entre corchetes: [R]
+function renderBoardAscii(interpreter) {
+    const width = interpreter.width;
+    const height = interpreter.height;
+    const labelWidth = String(height - 1).length;
+    const lines = [];
+
+    const symbols = interpreter.grid.map(row => row.map(cell => cellSymbol(interpreter, cell)));
+    const cellWidth = Math.max(...symbols.flat().map(symbol => symbol.length));
+
+    let header = ' '.repeat(labelWidth + 1);
+    for (let x = 0; x < width; x++) {
+        header += String(x).padStart(cellWidth + 1).padEnd(cellWidth + 2);
+    }
+    lines.push(header.trimEnd());
+
+    for (let y = height - 1; y >= 0; y--) {
+        let row = String(y).padStart(labelWidth) + ' ';
+        for (let x = 0; x < width; x++) {
+            const symbol = symbols[y][x].padEnd(cellWidth);
+            const isHead = x === interpreter.headX && y === interpreter.headY;
+            row += isHead ? `[${symbol}]` : ` ${symbol} `;
+        }
+        lines.push(row.trimEnd());
+    }
+
+    return lines.join('\n');
+}
+
+// =====================================================
+// COMANDO RUN
+// =====================================================
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`No se pudo leer el archivo '${file}': ${error.message}`);
+    }
+}
+
+// Leer un programa: código plano (.qdraw) o proyecto (.qdrawproj)
+function readProgram(file) {
+    const content = readFile(file);
+
+    if (!QdrawProject.isProjectFile(file)) {
+        return { source: content, project: null };
+    }
+
+    try {
+        const project = QdrawProject.parse(content);
+        return { source: project.source, project };
+    } catch (error) {
+        throw new UsageError(`Proyecto inválido '${file}': ${error.message}`);
+    }
+}
+
+// Paleta predefinida más los colores propios del proyecto
+function paletteOf(project) {
+    return project ? QdrawPalette.withColors(project.colors) : QdrawPalette.DEFAULT;
+}
+
+// Tablero inicial según las opciones y el proyecto (las opciones tienen prioridad)
+function createInterpreter(options, project) {
+    const pick = (option, projectValue, defaultValue) => {
+        if (option !== null) return option;
+        return project ? projectValue : defaultValue;
+    };
+
+    const width = pick(options.width, project && project.width, 8);
+    const height = pick(options.height, project && project.height, 8);
+    const headX = pick(options.headX, project && project.headX, 0);
+    const headY = pick(options.headY, project && project.headY, 0);
+    const mode = pick(options.mode, project && project.mode, BOARD_MODES.COLORES);
+
+    let interpreter;
+    try {
+        interpreter = new QdrawInterpreter(width, height, paletteOf(project), mode);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    // El tablero del proyecto solo se usa si no se cambiaron sus dimensiones ni su modo
+    if (project && project.width === width && project.height === height && project.mode === mode) {
+        interpreter.restoreState({ grid: project.grid, headX: 0, headY: 0 });
+    }
+
+    if (!interpreter.teleport(headX, headY)) {
+        throw new UsageError(
+            `Posición del cabezal fuera del tablero: (${headX}, ${headY}) ` +
+            `en un tablero de ${width}x${height}`
+        );
+    }
+
+    return interpreter;
+}
+
+async function runFile(options) {
+    if (!options.file) {
+        throw new UsageError('Falta el archivo a ejecutar');
+    }
+
+    const { source: code, project } = readProgram(options.file);
+    const interpreter = createInterpreter(options, project);
+
+    // Ejecución instantánea: sin demoras entre pasos
+    interpreter.speed = 0;
+
+    let executor = null;
+    let result;
+
+    try {
+        const tokens = new QdrawTokenizer(code, interpreter.palette).tokenize();
+        const ast = new QdrawParser(tokens).parse();
+        executor = new QdrawExecutor(interpreter, ast);
+        result = await executor.execute();
+    } catch (error) {
+        result = { success: false, message: error.message, error };
+    }
+
+    const steps = executor ? executor.stepCount : 0;
+
+    console.log(`Programa: ${path.basename(options.file)}`);
+    console.log(`Tablero: ${interpreter.width}x${interpreter.height}`);
+    console.log('');
+    console.log(renderBoardAscii(interpreter));
+    console.log('');
+    console.log(`Cabezal: (${interpreter.headX}, ${interpreter.headY})`);
+    console.log(`Pasos: ${steps}`);
+    const errorCode = !result.success && result.error.code ? ` (${result.error.code})` : '';
+    console.log(`Estado: ${result.success ? 'OK' : 'ERROR'}${errorCode}`);
+    console.log(result.message);
+
+    return result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.EXECUTION_ERROR;
+}
+
+// =====================================================
+// COMANDO GRADE
+// =====================================================
+
+async function gradeFile(options) {
+    if (!options.file || !options.casesFile) {
+        throw new UsageError('Faltan el archivo a corregir y el archivo de casos');
+    }
+
+    const { source: code, project } = readProgram(options.file);
+    const casesSource = readFile(options.casesFile);
+
+    let cases;
+    let colors;
+    let mode;
+    try {
+        const data = JSON.parse(casesSource);
+        cases = Array.isArray(data) ? data : data.cases;
+        colors = Array.isArray(data) ? null : data.colors;
+        mode = Array.isArray(data) ? null : data.mode;
+    } catch (error) {
+        throw new UsageError(`El archivo de casos no es JSON válido: ${error.message}`);
+    }
+
+    if (!Array.isArray(cases) || cases.length === 0) {
+        throw new UsageError('El archivo de casos no contiene ningún caso');
+    }
+
+    // Los colores del archivo de casos reemplazan a los del proyecto
+    let palette;
+    try {
+        palette = colors ? QdrawPalette.withColors(colors) : paletteOf(project);
+    } catch (error) {
+        throw new UsageError(`Colores inválidos en el archivo de casos: ${error.message}`);
+    }
+
+    let report;
+    try {
+        // Modo de los casos que no lo indican: la opción, el archivo de casos o el proyecto
+        const defaultMode = options.mode || mode || (project && project.mode);
+        report = await new QdrawGrader(code, { palette, mode: defaultMode }).grade(cases);
+    } catch (error) {
+        throw new UsageError(`Caso inválido: ${error.message}`);
+    }
+
+    console.log(`Programa: ${path.basename(options.file)}`);
+    console.log('');
+    console.log(QdrawGrader.formatReport(report));
+
+    return report.success ? EXIT_CODES.SUCCESS : EXIT_CODES.EXECUTION_ERROR;
+}
+
+// =====================================================
+// COMANDO FORMAT
+// =====================================================
+
+function formatFile(options) {
+    if (!options.file) {
+        throw new UsageError('Falta el archivo a formatear');
+    }
+
+    const code = readFile(options.file);
+
+    let formatted;
+    try {
+        formatted = QdrawFormatter.format(code);
+    } catch (error) {
+        console.error(`No se pudo formatear '${path.basename(options.file)}':`);
+        console.error(error.message);
+        return EXIT_CODES.EXECUTION_ERROR;
+    }
+
+    if (!options.write) {
+        process.stdout.write(formatted);
+    } else if (formatted !== code) {
+        try {
+            fs.writeFileSync(options.file, formatted, 'utf8');
+        } catch (error) {
+            throw new UsageError(`No se pudo escribir el archivo '${options.file}': ${error.message}`);
+        }
+    }
+
+    return EXIT_CODES.SUCCESS;
+}
+
+// =====================================================
+// COMANDO LINT
+// =====================================================
+
+function lintFile(options) {
+    if (!options.file) {
+        throw new UsageError('Falta el archivo a revisar');
+    }
+
+    const { source: code, project } = readProgram(options.file);
+    const interpreter = createInterpreter(options, project);
+    const rules = Object.fromEntries(options.disabledRules.map(rule => [rule, false]));
+    const { diagnostics } = QdrawDiagnostics.analyze(code, {
+        palette: interpreter.palette,
+        linter: new QdrawLinter({ rules }),
+        predictor: new QdrawBoomPredictor({
+            width: interpreter.width,
+            height: interpreter.height,
+            headX: interpreter.headX,
+            headY: interpreter.headY
+        })
+    });
+
+    console.log(`Programa: ${path.basename(options.file)}`);
+
+    for (const diagnostic of diagnostics) {
+        const kind = diagnostic.severity === DIAGNOSTIC_SEVERITY.ERROR ? 'error' : 'advertencia';
+        const rule = diagnostic.rule ? ` [${diagnostic.rule}]` : '';
+        const [first, ...rest] = diagnostic.message.split('\n');
+        console.log(`${diagnostic.line}:${diagnostic.column} ${kind}: ${first}${rule}`);
+        for (const line of rest) {
+            console.log(`    ${line}`);
+        }
+    }
+
+    console.log(diagnostics.length === 0 ? 'Sin problemas' : `Problemas: ${diagnostics.length}`);
+
+    return diagnostics.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.EXECUTION_ERROR;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_CODES.USAGE_ERROR;
+    }
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE_ERROR;
+    }
+
+    try {
+        switch (options.command) {
+            case 'run':
+                return await runFile(options);
+            case 'grade':
+                return await gradeFile(options);
+            case 'format':
+                return formatFile(options);
+            case 'lint':
+                return lintFile(options);
+            default:
+                throw new UsageError(`Comando desconocido: ${options.command}`);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            console.error(USAGE);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        // Un error inesperado (de archivos o del propio CLI): mensaje y código de error
+        console.error(error.message);
+        process.exitCode = EXIT_CODES.EXECUTION_ERROR;
+    });
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    renderBoardAscii
+};
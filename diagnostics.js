@@ -0,0 +1,290 @@
+// =====================================================
+// QDRAW DIAGNOSTICS - ANÁLISIS ESTÁTICO
+// =====================================================
+// Tokeniza y parsea el código sin ejecutarlo y devuelve la
+// lista de problemas con su rango exacto (línea y columnas).
+// El parser se recupera de los errores, así que se informan
+// todos los errores de sintaxis juntos.
+// Además de los errores de sintaxis detecta llamadas a
+// procedimientos y funciones inexistentes, nombres repetidos y
+// llamadas con una cantidad incorrecta de argumentos.
+// A un programa sin errores se le agregan las advertencias del
+// linter (linter.js) y el BOOM seguro que prevé el predictor
+// (predictor.js), si se pasan en las opciones.
+// Se usa desde el editor (subrayado mientras se escribe).
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js como globales;
+// en Node se cargan con require.
+const DiagnosticsCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./interpreter.js')
+    : { QdrawTokenizer, QdrawParser };
+
+const DIAGNOSTIC_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/*
+ * Formato de un diagnóstico (columnas desde 1, fin exclusivo,
+ * igual que los rangos de Monaco):
+ *
+ * {
+ *   severity: 'error',
+ *   message: "Procedimiento 'dibujar' no existe.",
+ *   line: 3, column: 5, endLine: 3, endColumn: 12
+ * }
+ */
+
+class QdrawDiagnostics {
+    // Analiza el código y devuelve { ast, diagnostics }, ordenados por posición.
+    // Si hay errores de sintaxis, ast es el AST parcial que armó el parser.
+    // palette: colores que reconoce el tokenizer (la predefinida si falta).
+    static analyze(code, { linter = null, predictor = null, palette } = {}) {
+        const lexer = new DiagnosticsCore.QdrawTokenizer(code, palette).tokenizeWithRecovery();
+        const { ast, errors } = new DiagnosticsCore.QdrawParser(lexer.tokens).parseWithRecovery();
+        const syntaxErrors = [...lexer.errors, ...errors];
+
+        // Con errores de sintaxis faltan partes del AST (por ejemplo un
+        // procedimiento mal declarado): se omiten los chequeos de procedimientos
+        const diagnostics = syntaxErrors.length > 0
+            ? syntaxErrors.map(error => QdrawDiagnostics.fromError(error))
+            : [...QdrawDiagnostics.checkProcedures(ast), ...QdrawDiagnostics.checkFunctions(ast)];
+
+        if (syntaxErrors.length === 0 && linter) {
+            diagnostics.push(...linter.lint(ast));
+        }
+
+        // El predictor necesita que todas las llamadas sean válidas
+        if (predictor && diagnostics.every(diagnostic => diagnostic.severity !== DIAGNOSTIC_SEVERITY.ERROR)) {
+            diagnostics.push(...predictor.check(ast));
+        }
+
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        return { ast, diagnostics };
+    }
+
+    // Convierte un error del tokenizer o del parser en diagnóstico.
+    // Los errores sin ubicación se marcan al comienzo del código.
+    static fromError(error) {
+        const line = error.line || 1;
+        const column = error.column || 1;
+
+        return {
+            severity: DIAGNOSTIC_SEVERITY.ERROR,
+            message: [error.description || error.message, ...(error.hints || [])].join('\n'),
+            line,
+            column,
+            endLine: error.endLine || line,
+            endColumn: error.endColumn || column + 1
+        };
+    }
+
+    static create(range, message, severity = DIAGNOSTIC_SEVERITY.ERROR) {
+        return {
+            severity,
+            message,
+            line: range.line,
+            column: range.column,
+            endLine: range.endLine,
+            endColumn: range.endColumn
+        };
+    }
+
+    // Nombres repetidos, llamadas a procedimientos inexistentes y
+    // cantidad de argumentos (lo mismo que el ejecutor detecta al correr)
+    static checkProcedures(ast) {
+        const diagnostics = [];
+        const procedures = new Map();
+
+        for (const proc of ast.procedures) {
+            const firstDef = procedures.get(proc.name);
+            if (firstDef) {
+                diagnostics.push(QdrawDiagnostics.create(
+                    proc.range,
+                    `Procedimiento '${proc.name}' ya fue definido.\n` +
+                    `Primera definición: línea ${firstDef.line}\n` +
+                    `Cada procedimiento debe tener un nombre único.`
+                ));
+                continue;
+            }
+            procedures.set(proc.name, proc);
+        }
+
+        QdrawDiagnostics.forEachStatement(ast, (stmt) => {
+            if (stmt.type !== 'ProcedureCall') {
+                return;
+            }
+
+            const proc = procedures.get(stmt.name);
+            if (!proc && ast.functions.some(fn => fn.name === stmt.name)) {
+                diagnostics.push(QdrawDiagnostics.create(
+                    stmt.range,
+                    `'${stmt.name}' es una función, no un procedimiento.\n` +
+                    `Las funciones se usan en una condición o una expresión.`
+                ));
+                return;
+            }
+            if (!proc) {
+                const available = Array.from(procedures.keys());
+                const suggestions = available.length > 0
+                    ? `Procedimientos disponibles: ${available.join(', ')}`
+                    : 'No hay procedimientos definidos.';
+                diagnostics.push(QdrawDiagnostics.create(
+                    stmt.range,
+                    `Procedimiento '${stmt.name}' no existe.\n${suggestions}`
+                ));
+                return;
+            }
+
+            if (stmt.args.length !== proc.params.length) {
+                const expected = proc.params.length === 0
+                    ? 'no recibe argumentos'
+                    : `recibe ${proc.params.length} (${proc.params.map(param => param.name).join(', ')})`;
+                diagnostics.push(QdrawDiagnostics.create(
+                    stmt.range,
+                    `'${stmt.name}' se llama con ${stmt.args.length} argumento(s), pero ${expected}.\n` +
+                    `Definición: línea ${proc.line}`
+                ));
+            }
+        });
+
+        return diagnostics;
+    }
+
+    // Lo mismo para las funciones: nombres repetidos, llamadas (en
+    // condiciones y expresiones) a funciones inexistentes y argumentos
+    static checkFunctions(ast) {
+        const diagnostics = [];
+        const functions = new Map();
+
+        for (const fn of ast.functions) {
+            const firstDef = functions.get(fn.name);
+            if (firstDef) {
+                diagnostics.push(QdrawDiagnostics.create(
+                    fn.range,
+                    `Función '${fn.name}' ya fue definida.\n` +
+                    `Primera definición: línea ${firstDef.line}\n` +
+                    `Cada función debe tener un nombre único.`
+                ));
+                continue;
+            }
+            functions.set(fn.name, fn);
+        }
+
+        QdrawDiagnostics.forEachCall(ast, (call) => {
+            if (call.type !== 'FunctionCall') {
+                return;
+            }
+
+            const fn = functions.get(call.name);
+            if (!fn) {
+                const available = Array.from(functions.keys());
+                const suggestions = available.length > 0
+                    ? `Funciones disponibles: ${available.join(', ')}`
+                    : 'No hay funciones definidas.';
+                diagnostics.push(QdrawDiagnostics.create(
+                    call.range,
+                    `Función '${call.name}' no existe.\n${suggestions}`
+                ));
+                return;
+            }
+
+            if (call.args.length !== fn.params.length) {
+                const expected = fn.params.length === 0
+                    ? 'no recibe argumentos'
+                    : `recibe ${fn.params.length} (${fn.params.map(param => param.name).join(', ')})`;
+                diagnostics.push(QdrawDiagnostics.create(
+                    call.range,
+                    `'${call.name}' se llama con ${call.args.length} argumento(s), pero ${expected}.\n` +
+                    `Definición: línea ${fn.line}`
+                ));
+            }
+        });
+
+        return diagnostics;
+    }
+
+    // Recorre todas las llamadas: las instrucciones que llaman a un procedimiento
+    // y las llamadas a funciones dentro de condiciones, cantidades y argumentos
+    static forEachCall(ast, visit) {
+        const visitNode = (node) => {
+            if (!node) {
+                return;
+            }
+            switch (node.type) {
+                case 'FunctionCall':
+                    visit(node);
+                    node.args.forEach(visitNode);
+                    break;
+                case 'BinaryOp':
+                case 'Comparison':
+                case 'And':
+                case 'Or':
+                    visitNode(node.left);
+                    visitNode(node.right);
+                    break;
+                case 'Not':
+                    visitNode(node.operand);
+                    break;
+            }
+        };
+
+        QdrawDiagnostics.forEachStatement(ast, (stmt) => {
+            if (stmt.type === 'ProcedureCall') {
+                visit(stmt);
+            }
+            [stmt.argument, stmt.count, stmt.condition, stmt.value, ...(stmt.args || [])].forEach(visitNode);
+        });
+        for (const fn of ast.functions) {
+            visitNode(fn.result);
+        }
+    }
+
+    // Recorre todas las instrucciones del programa, de los procedimientos y
+    // de las funciones, incluidas las que están dentro de bloques anidados
+    static forEachStatement(ast, visit) {
+        const walk = (statements) => {
+            for (const stmt of statements) {
+                visit(stmt);
+                for (const block of QdrawDiagnostics.childBlocks(stmt)) {
+                    walk(block);
+                }
+            }
+        };
+
+        if (ast.program) {
+            walk(ast.program.body);
+        }
+        for (const proc of [...ast.procedures, ...ast.functions]) {
+            walk(proc.body);
+        }
+    }
+
+    // Bloques de instrucciones contenidos en una instrucción
+    static childBlocks(stmt) {
+        switch (stmt.type) {
+            case 'Repetir':
+            case 'Mientras':
+                return [stmt.body];
+            case 'Si':
+                return stmt.elseBody ? [stmt.thenBody, stmt.elseBody] : [stmt.thenBody];
+            default:
+                return [];
+        }
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawDiagnostics,
+        DIAGNOSTIC_SEVERITY
+    };
+}
@@ -0,0 +1,505 @@
+// =====================================================
+// QDRAW EXPORTER - EXPORTAR EL TABLERO COMO IMAGEN
+// =====================================================
+// Guarda el tablero tal como lo dibuja renderer.js (celdas, cabezal y
+// coordenadas) como PNG o SVG, y la ejecución completa como GIF animado
+// armado con los pasos de la traza. Todo se codifica en el navegador,
+// sin servicios externos.
+// Se usa desde la interfaz (app.js).
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de renderer.js como globales;
+// en Node se cargan con require.
+const ExporterCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./renderer.js')
+    : { QdrawBoardRenderer, BOARD_STYLE };
+
+const QDRAW_EXPORT = {
+    GIF_MAX_FRAMES: 300,      // Con más pasos se toman pasos salteados (siempre el primero y el último)
+    GIF_FRAME_DELAY: 10,      // Centésimas de segundo entre cuadros
+    GIF_LAST_FRAME_DELAY: 200 // El tablero final queda 2 segundos antes de volver a empezar
+};
+
+// =====================================================
+// SVG
+// =====================================================
+
+// Imita la parte de la API de CanvasRenderingContext2D que usa renderer.js
+// y la convierte en elementos SVG: así el SVG sale del mismo código que
+// dibuja el tablero en pantalla.
+class QdrawSvgContext {
+    constructor() {
+        this.elements = [];
+        this.path = [];
+        this.stack = [];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineDash = [];
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.shadowColor = 'transparent';
+        this.shadowBlur = 0;
+    }
+
+    // El SVG usa las mismas unidades que el tablero sin zoom (ver toSvg)
+    setTransform() {}
+
+    setLineDash(dash) {
+        this.lineDash = dash;
+    }
+
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, lineDash, font, textAlign, textBaseline } = this;
+        this.stack.push({ fillStyle, strokeStyle, lineWidth, lineDash, font, textAlign, textBaseline });
+    }
+
+    restore() {
+        Object.assign(this, this.stack.pop());
+    }
+
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${this.fillStyle}"/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+        this.elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="none" ` +
+            `stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"${dash}/>`);
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    // renderer.js solo dibuja círculos completos (las bolitas)
+    arc(cx, cy, radius) {
+        this.path.push({ cx, cy, radius });
+    }
+
+    fill() {
+        for (const { cx, cy, radius } of this.path) {
+            this.elements.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${this.fillStyle}"/>`);
+        }
+    }
+
+    fillText(text, x, y) {
+        const anchors = { center: 'middle', right: 'end', end: 'end' };
+        const baselines = { middle: 'central', top: 'hanging' };
+        const anchor = anchors[this.textAlign] || 'start';
+        const baseline = baselines[this.textBaseline] || 'auto';
+        this.elements.push(`<text x="${x}" y="${y}" fill="${this.fillStyle}" style="font: ${this.font.replace(/"/g, "'")}" ` +
+            `text-anchor="${anchor}" dominant-baseline="${baseline}">${QdrawSvgContext.escape(text)}</text>`);
+    }
+
+    toSvg(width, height) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// =====================================================
+// GIF
+// =====================================================
+
+// Bytes de un archivo que crece a medida que se escribe
+class GifByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.buffer.length) {
+            const grown = new Uint8Array(this.buffer.length * 2);
+            grown.set(this.buffer);
+            this.buffer = grown;
+        }
+        this.buffer[this.length++] = value;
+    }
+
+    // Entero de 16 bits, primero el byte bajo
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    text(value) {
+        for (let i = 0; i < value.length; i++) {
+            this.byte(value.charCodeAt(i));
+        }
+    }
+
+    bytes() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+/*
+ * Codificador de GIF89a animado con una sola tabla de colores (hasta 256).
+ *
+ *   const gif = new QdrawGifEncoder(width, height, colors);  // colors: [0xRRGGBB, ...]
+ *   gif.addFrame(indices, { left, top, width, height, delay });
+ *   const bytes = gif.finish();
+ *
+ * Cada cuadro puede cubrir solo un rectángulo: lo de afuera queda como en el
+ * cuadro anterior. "indices" tiene un índice de la tabla por píxel del
+ * rectángulo, fila por fila.
+ */
+class QdrawGifEncoder {
+    constructor(width, height, colors) {
+        this.width = width;
+        this.height = height;
+        this.colorBits = Math.max(1, Math.ceil(Math.log2(Math.max(2, colors.length))));
+        this.out = new GifByteWriter();
+
+        const out = this.out;
+        out.text('GIF89a');
+        out.word(width);
+        out.word(height);
+        out.byte(0x80 | ((this.colorBits - 1) << 4) | (this.colorBits - 1)); // Tabla global
+        out.byte(0);  // Color de fondo
+        out.byte(0);  // Proporción de los píxeles
+
+        for (let i = 0; i < (1 << this.colorBits); i++) {
+            const color = colors[i] || 0;
+            out.byte((color >> 16) & 0xff);
+            out.byte((color >> 8) & 0xff);
+            out.byte(color & 0xff);
+        }
+
+        // Repetir la animación para siempre
+        out.byte(0x21);
+        out.byte(0xff);
+        out.byte(11);
+        out.text('NETSCAPE2.0');
+        out.byte(3);
+        out.byte(1);
+        out.word(0);
+        out.byte(0);
+    }
+
+    addFrame(indices, { left = 0, top = 0, width = this.width, height = this.height, delay = 0 } = {}) {
+        const out = this.out;
+
+        // Control gráfico: demora y "no borrar" (el cuadro siguiente se dibuja encima)
+        out.byte(0x21);
+        out.byte(0xf9);
+        out.byte(4);
+        out.byte(1 << 2);
+        out.word(delay);
+        out.byte(0);
+        out.byte(0);
+
+        // Descriptor de la imagen
+        out.byte(0x2c);
+        out.word(left);
+        out.word(top);
+        out.word(width);
+        out.word(height);
+        out.byte(0);
+
+        this.writeLzw(indices, Math.max(2, this.colorBits));
+    }
+
+    finish() {
+        this.out.byte(0x3b);
+        return this.out.bytes();
+    }
+
+    // Compresión LZW de los índices en bloques de hasta 255 bytes
+    writeLzw(indices, minCodeSize) {
+        const out = this.out;
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const block = [];
+        let bits = 0;
+        let bitCount = 0;
+
+        const flushBlock = () => {
+            out.byte(block.length);
+            for (const value of block) out.byte(value);
+            block.length = 0;
+        };
+
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block.push(bits & 0xff);
+                if (block.length === 255) flushBlock();
+                bits >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        out.byte(minCodeSize);
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Tabla llena: se empieza de nuevo
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            block.push(bits & 0xff);
+        }
+        if (block.length > 0) flushBlock();
+        out.byte(0);
+    }
+}
+
+// =====================================================
+// EXPORTACIÓN DEL TABLERO
+// =====================================================
+
+/*
+ * "board" es lo mismo que recibe QdrawBoardRenderer.render:
+ * { width, height, mode, grid, headX, headY, mismatched }.
+ */
+class QdrawBoardExporter {
+    static createCanvas() {
+        return document.createElement('canvas');
+    }
+
+    // Dibuja el tablero sin zoom y a un píxel por px, sin el resaltado del mouse
+    static renderer(canvas, palette) {
+        return new ExporterCore.QdrawBoardRenderer(canvas, palette, { pixelRatio: 1 });
+    }
+
+    static toPng(board, palette) {
+        const canvas = QdrawBoardExporter.createCanvas();
+        QdrawBoardExporter.renderer(canvas, palette).render(board);
+        // toBlob da null si no pudo generar la imagen (por ejemplo, sin memoria)
+        return new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('No se pudo generar la imagen PNG'));
+            }
+        }, 'image/png'));
+    }
+
+    static toSvg(board, palette) {
+        const context = new QdrawSvgContext();
+        const canvas = { getContext: () => context, style: {}, width: 0, height: 0 };
+        QdrawBoardExporter.renderer(canvas, palette).render(board);
+        return context.toSvg(canvas.width, canvas.height);
+    }
+
+    // GIF de la ejecución: un cuadro por paso de la traza (o pasos salteados
+    // si son demasiados). Cada cuadro guarda solo el rectángulo que cambió.
+    // onProgress recibe el avance, de 0 a 1.
+    static async toGif(trace, board, palette, { onProgress = null } = {}) {
+        const canvas = QdrawBoardExporter.createCanvas();
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        const renderer = QdrawBoardExporter.renderer(canvas, palette);
+        const state = {
+            grid: JSON.parse(JSON.stringify(trace.initialState.grid)),
+            headX: trace.initialState.headX,
+            headY: trace.initialState.headY
+        };
+        let position = 0;
+
+        const capture = (target) => {
+            position = trace.seek(state, position, target);
+            renderer.render({ ...board, grid: state.grid, headX: state.headX, headY: state.headY });
+            return new Uint32Array(context.getImageData(0, 0, canvas.width, canvas.height).data.buffer);
+        };
+
+        // Tabla de colores: los del tablero final y los del inicial (los
+        // demás píxeles van al color más parecido)
+        const last = capture(trace.length);
+        const first = capture(0);
+        const colors = QdrawBoardExporter.gifColors([first, last], palette);
+        const gif = new QdrawGifEncoder(canvas.width, canvas.height, colors.table);
+
+        const positions = QdrawBoardExporter.framePositions(trace.length, QDRAW_EXPORT.GIF_MAX_FRAMES);
+        let previous = null;
+
+        for (let i = 0; i < positions.length; i++) {
+            const pixels = i === 0 ? first : capture(positions[i]);
+            const delay = i === positions.length - 1 ? QDRAW_EXPORT.GIF_LAST_FRAME_DELAY : QDRAW_EXPORT.GIF_FRAME_DELAY;
+            const area = previous
+                ? QdrawBoardExporter.changedArea(previous, pixels, canvas.width, canvas.height)
+                : { left: 0, top: 0, width: canvas.width, height: canvas.height };
+
+            if (area) {
+                gif.addFrame(colors.indexArea(pixels, canvas.width, area), { ...area, delay });
+            } else {
+                // Sin cambios visibles: un píxel, solo para respetar la demora
+                gif.addFrame(colors.indexArea(pixels, canvas.width, { left: 0, top: 0, width: 1, height: 1 }),
+                    { left: 0, top: 0, width: 1, height: 1, delay });
+            }
+            previous = pixels;
+
+            // Dejar respirar a la página en los tableros grandes
+            if (i % 20 === 19) {
+                if (onProgress) onProgress(i / positions.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        if (onProgress) onProgress(1);
+        return new Blob([gif.finish()], { type: 'image/gif' });
+    }
+
+    // Posiciones de la traza que van como cuadros: todas, o 'max' repartidas
+    static framePositions(length, max) {
+        if (length + 1 <= max) {
+            return Array.from({ length: length + 1 }, (_, i) => i);
+        }
+
+        const positions = [];
+        for (let i = 0; i < max; i++) {
+            const position = Math.round(i * length / (max - 1));
+            if (positions[positions.length - 1] !== position) {
+                positions.push(position);
+            }
+        }
+        return positions;
+    }
+
+    // Rectángulo donde difieren dos cuadros (píxeles RGBA como Uint32), o null
+    static changedArea(before, after, width, height) {
+        let left = width;
+        let top = height;
+        let right = -1;
+        let bottom = -1;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (before[row + x] !== after[row + x]) {
+                    if (x < left) left = x;
+                    if (x > right) right = x;
+                    if (y < top) top = y;
+                    bottom = y;
+                }
+            }
+        }
+
+        if (right < 0) return null;
+        return { left, top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    // Hasta 256 colores: primero los del tablero (paleta y estilos de
+    // renderer.js), después los más frecuentes en los cuadros de muestra
+    static gifColors(samples, palette) {
+        const rgbOf = (pixel) => ((pixel & 0xff) << 16) | (pixel & 0xff00) | ((pixel >> 16) & 0xff);
+        const hexToRgb = (hex) => {
+            const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+            if (!match) return null;
+            const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+            return parseInt(digits, 16);
+        };
+
+        const table = [];
+        const seen = new Set();
+        const add = (rgb) => {
+            if (rgb !== null && !seen.has(rgb) && table.length < 256) {
+                seen.add(rgb);
+                table.push(rgb);
+            }
+        };
+
+        for (const value of Object.values(ExporterCore.BOARD_STYLE)) {
+            if (typeof value === 'string') add(hexToRgb(value));
+        }
+        for (const color of palette.colors) {
+            add(hexToRgb(color.hex));
+        }
+
+        const counts = new Map();
+        for (const pixels of samples) {
+            for (let i = 0; i < pixels.length; i++) {
+                const rgb = rgbOf(pixels[i]);
+                counts.set(rgb, (counts.get(rgb) || 0) + 1);
+            }
+        }
+        [...counts.entries()].sort((a, b) => b[1] - a[1]).forEach(([rgb]) => add(rgb));
+
+        // Índice del color más parecido, con memoria por color
+        const nearest = new Map();
+        const indexOf = (pixel) => {
+            const rgb = rgbOf(pixel);
+            let index = nearest.get(rgb);
+            if (index !== undefined) return index;
+
+            let best = Infinity;
+            for (let i = 0; i < table.length; i++) {
+                const dr = ((table[i] >> 16) & 0xff) - ((rgb >> 16) & 0xff);
+                const dg = ((table[i] >> 8) & 0xff) - ((rgb >> 8) & 0xff);
+                const db = (table[i] & 0xff) - (rgb & 0xff);
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < best) {
+                    best = distance;
+                    index = i;
+                }
+            }
+            nearest.set(rgb, index);
+            return index;
+        };
+
+        return {
+            table,
+            indexArea(pixels, width, area) {
+                const indices = new Uint8Array(area.width * area.height);
+                let i = 0;
+                for (let y = area.top; y < area.top + area.height; y++) {
+                    for (let x = area.left; x < area.left + area.width; x++) {
+                        indices[i++] = indexOf(pixels[y * width + x]);
+                    }
+                }
+                return indices;
+            }
+        };
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawBoardExporter,
+        QdrawGifEncoder,
+        QdrawSvgContext,
+        QDRAW_EXPORT
+    };
+}
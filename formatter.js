@@ -0,0 +1,399 @@
+// =====================================================
+// QDRAW FORMATTER - FORMATO AUTOMÁTICO DEL CÓDIGO
+// =====================================================
+// Parsea el código y lo vuelve a escribir con la indentación,
+// los espacios y la ubicación de llaves canónicos:
+//
+//   procedimiento Linea(n, color) {
+//       repetir n veces {
+//           Pintar(color)
+//       }
+//   }
+//
+// Los comentarios se conservan: los que están en una línea propia
+// quedan antes de la instrucción que les sigue y los que están al
+// final de una línea quedan al final de la misma línea. Se mantiene
+// una línea en blanco donde había una o más.
+// Solo formatea código sin errores de sintaxis.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js como globales;
+// en Node se cargan con require.
+const FormatterCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./interpreter.js')
+    : { QdrawTokenizer, QdrawParser, TOKEN_TYPES };
+
+// Precedencia de los operadores de las condiciones (mayor = más fuerte)
+const CONDITION_PRECEDENCE = {
+    Or: 1,
+    And: 2,
+    Not: 3,
+    Sensor: 4,
+    Comparison: 4,
+    FunctionCall: 4
+};
+
+// Precedencia de los operadores aritméticos: div y mod van con '*'
+const OPERATOR_PRECEDENCE = {
+    '+': 1,
+    '-': 1,
+    '*': 2,
+    div: 2,
+    mod: 2
+};
+
+class QdrawFormatter {
+    // options.indent: unidad de indentación; options.palette: colores que reconoce el tokenizer
+    constructor(code, options = {}) {
+        this.code = code;
+        this.indentUnit = options.indent || '    ';
+        this.palette = options.palette;
+    }
+
+    // Formatea el código. Lanza el primer error léxico o de sintaxis.
+    static format(code, options = {}) {
+        return new QdrawFormatter(code, options).format();
+    }
+
+    format() {
+        const { tokens, errors, comments } = new FormatterCore.QdrawTokenizer(this.code, this.palette).tokenizeWithRecovery();
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+        const ast = new FormatterCore.QdrawParser(tokens).parse();
+
+        this.tokens = tokens;
+        this.comments = comments;
+        this.nextComment = 0;
+        this.tokenIndex = new Map(tokens.map((token, i) => [`${token.line}:${token.column}`, i]));
+        this.tokenEndIndex = new Map(tokens.map((token, i) => [`${token.endLine}:${token.endColumn}`, i]));
+        this.closing = this.matchPairs(tokens);
+        this.lines = [];
+        this.depth = 0;
+        this.lastLine = 0;
+        this.allowBlank = false;
+
+        const declarations = [...ast.procedures, ...ast.functions, ast.program]
+            .map(decl => ({ decl, start: this.declarationStart(decl) }))
+            .sort((a, b) => a.start - b.start);
+
+        declarations.forEach(({ decl, start }, i) => {
+            if (i > 0) {
+                this.lines.push('');
+                this.allowBlank = false;
+            }
+            if (decl.type === 'Procedure') {
+                this.formatProcedure(decl, start);
+            } else if (decl.type === 'Function') {
+                this.formatFunction(decl, start);
+            } else {
+                this.formatProgram(start);
+                this.formatBlock(decl.body, start + 1);
+            }
+        });
+
+        // Comentarios después del último bloque
+        this.flushComments(null);
+
+        return this.lines.join('\n') + '\n';
+    }
+
+    // Índice del token de cierre de cada '(' y '{' (por índice de apertura)
+    matchPairs(tokens) {
+        const closing = new Map();
+        const stack = [];
+
+        tokens.forEach((token, i) => {
+            if (token.type === FormatterCore.TOKEN_TYPES.LBRACE || token.type === FormatterCore.TOKEN_TYPES.LPAREN) {
+                stack.push(i);
+            } else if (token.type === FormatterCore.TOKEN_TYPES.RBRACE || token.type === FormatterCore.TOKEN_TYPES.RPAREN) {
+                closing.set(stack.pop(), i);
+            }
+        });
+
+        return closing;
+    }
+
+    // Índice del token donde empieza un nodo del AST
+    indexOf(range) {
+        return this.tokenIndex.get(`${range.line}:${range.column}`);
+    }
+
+    // Índice del último token de un valor, incluidos los ')' que lo cierran
+    valueEnd(range) {
+        let last = this.tokenEndIndex.get(`${range.endLine}:${range.endColumn}`);
+        while (this.tokens[last + 1].type === FormatterCore.TOKEN_TYPES.RPAREN) {
+            last++;
+        }
+        return last;
+    }
+
+    // El rango de un procedimiento o una función es su nombre: el bloque empieza en la palabra anterior
+    declarationStart(decl) {
+        const index = this.indexOf(decl.range);
+        return decl.type === 'Procedure' || decl.type === 'Function' ? index - 1 : index;
+    }
+
+    // Primer token de un tipo desde una posición
+    findNext(type, from) {
+        let i = from;
+        while (this.tokens[i].type !== type) {
+            i++;
+        }
+        return i;
+    }
+
+    // =====================================================
+    // SALIDA
+    // =====================================================
+
+    indent() {
+        return this.indentUnit.repeat(this.depth);
+    }
+
+    // Agrega una línea; si en el código original había una línea en blanco
+    // antes (y no es el comienzo de un bloque), se conserva una sola
+    push(text, startLine, endLine) {
+        if (this.allowBlank && startLine > this.lastLine + 1) {
+            this.lines.push('');
+        }
+        this.lines.push(text);
+        this.lastLine = endLine;
+        this.allowBlank = true;
+    }
+
+    // Escribe los comentarios que empiezan antes del token (todos si es null),
+    // cada uno en su propia línea
+    flushComments(token) {
+        while (this.nextComment < this.comments.length) {
+            const comment = this.comments[this.nextComment];
+            if (token && !this.isBefore(comment, token)) {
+                break;
+            }
+            this.push(this.indent() + comment.value, comment.line, comment.endLine);
+            this.nextComment++;
+        }
+    }
+
+    isBefore(comment, token) {
+        return comment.line < token.line || (comment.line === token.line && comment.column < token.column);
+    }
+
+    // Escribe una línea que corresponde a los tokens desde first hasta last.
+    // Los comentarios que estaban entre esos tokens o al final de la misma
+    // línea (sin otro token antes) se agregan al final.
+    emitLine(text, first, last) {
+        const firstToken = this.tokens[first];
+        const lastToken = this.tokens[last];
+        const nextToken = this.tokens[last + 1];
+
+        this.flushComments(firstToken);
+
+        let line = this.indent() + text;
+        let endLine = lastToken.endLine;
+
+        while (this.nextComment < this.comments.length) {
+            const comment = this.comments[this.nextComment];
+            const inside = this.isBefore(comment, lastToken);
+            const trailing = comment.line === lastToken.endLine && this.isBefore(comment, nextToken);
+            if (!inside && !trailing) {
+                break;
+            }
+            line += ' ' + comment.value;
+            endLine = comment.endLine;
+            this.nextComment++;
+        }
+
+        this.push(line, firstToken.line, endLine);
+    }
+
+    // =====================================================
+    // BLOQUES E INSTRUCCIONES
+    // =====================================================
+
+    formatProgram(start) {
+        this.emitLine('programa {', start, start + 1);
+    }
+
+    formatProcedure(proc, start) {
+        const params = proc.params.map(param => param.name).join(', ');
+        const rparen = this.closing.get(start + 2);
+        this.emitLine(`procedimiento ${proc.name}(${params}) {`, start, rparen + 1);
+        this.formatBlock(proc.body, rparen + 1);
+    }
+
+    // El cuerpo de una función termina con 'devolver' antes de la '}'
+    formatFunction(fn, start) {
+        const params = fn.params.map(param => param.name).join(', ');
+        const lbrace = this.closing.get(start + 2) + 1;
+        const rbrace = this.closing.get(lbrace);
+        const result = fn.sensor ? this.formatCondition(fn.result) : this.formatArgument(fn.result);
+        this.emitLine(`funcion ${fn.name}(${params}) {`, start, lbrace);
+
+        this.depth++;
+        this.allowBlank = false;
+        for (const stmt of fn.body) {
+            this.formatStatement(stmt);
+        }
+        // El único 'devolver' de la función va después de sus instrucciones
+        this.emitLine(`devolver ${result}`, this.findNext(FormatterCore.TOKEN_TYPES.DEVOLVER, lbrace), rbrace - 1);
+        this.flushComments(this.tokens[rbrace]);
+        this.depth--;
+        this.allowBlank = false;
+
+        this.emitLine('}', rbrace, rbrace);
+    }
+
+    // Escribe las instrucciones de un bloque y su '}'
+    formatBlock(statements, lbrace) {
+        const rbrace = this.formatBody(statements, lbrace);
+        this.emitLine('}', rbrace, rbrace);
+        return rbrace;
+    }
+
+    // Escribe las instrucciones entre '{' y '}' (sin la llave de cierre).
+    // Devuelve el índice de la '}'.
+    formatBody(statements, lbrace) {
+        const rbrace = this.closing.get(lbrace);
+
+        this.depth++;
+        this.allowBlank = false;
+        for (const stmt of statements) {
+            this.formatStatement(stmt);
+        }
+        // Comentarios al final del bloque, antes de la '}'
+        this.flushComments(this.tokens[rbrace]);
+        this.depth--;
+        this.allowBlank = false;
+
+        return rbrace;
+    }
+
+    formatStatement(stmt) {
+        const start = this.indexOf(stmt.range);
+
+        switch (stmt.type) {
+            case 'Command':
+                if (stmt.argument) {
+                    const rparen = this.closing.get(start + 1);
+                    this.emitLine(`${stmt.command}(${this.formatArgument(stmt.argument)})`, start, rparen);
+                } else {
+                    this.emitLine(stmt.command, start, start);
+                }
+                break;
+
+            case 'ProcedureCall': {
+                const rparen = this.closing.get(start + 1);
+                const args = stmt.args.map(arg => this.formatArgument(arg)).join(', ');
+                this.emitLine(`${stmt.name}(${args})`, start, rparen);
+                break;
+            }
+
+            // El rango de una declaración es el nombre: 'variable' es el token anterior
+            case 'VariableDeclaration':
+                this.emitLine(`variable ${stmt.name} := ${this.formatArgument(stmt.value)}`,
+                    start - 1, this.valueEnd(stmt.value.range));
+                break;
+
+            case 'Assignment':
+                this.emitLine(`${stmt.name} := ${this.formatArgument(stmt.value)}`,
+                    start, this.valueEnd(stmt.value.range));
+                break;
+
+            case 'Repetir': {
+                const lbrace = this.findNext(FormatterCore.TOKEN_TYPES.LBRACE, start);
+                this.emitLine(`repetir ${this.formatArgument(stmt.count)} veces {`, start, lbrace);
+                this.formatBlock(stmt.body, lbrace);
+                break;
+            }
+
+            case 'Mientras': {
+                const lbrace = this.findNext(FormatterCore.TOKEN_TYPES.LBRACE, start);
+                this.emitLine(`mientras (${this.formatCondition(stmt.condition)}) {`, start, lbrace);
+                this.formatBlock(stmt.body, lbrace);
+                break;
+            }
+
+            case 'Si': {
+                const lbrace = this.findNext(FormatterCore.TOKEN_TYPES.LBRACE, start);
+                this.emitLine(`si (${this.formatCondition(stmt.condition)}) {`, start, lbrace);
+
+                if (!stmt.elseBody) {
+                    this.formatBlock(stmt.thenBody, lbrace);
+                    break;
+                }
+
+                const rbrace = this.formatBody(stmt.thenBody, lbrace);
+                this.emitLine('} sino {', rbrace, rbrace + 2);
+                this.formatBlock(stmt.elseBody, rbrace + 2);
+                break;
+            }
+        }
+    }
+
+    // Números, direcciones, colores, consultas, parámetros y variables se escriben como en
+    // el código; las operaciones, con los paréntesis mínimos
+    formatArgument(argument, minPrecedence = 0) {
+        if (argument.type === 'FunctionCall') {
+            return this.formatCall(argument);
+        }
+        if (argument.type !== 'BinaryOp') {
+            return String(this.tokens[this.indexOf(argument.range)].value);
+        }
+
+        // Los operadores asocian a izquierda: a la derecha hace falta más precedencia
+        const precedence = OPERATOR_PRECEDENCE[argument.operator];
+        const left = this.formatArgument(argument.left, precedence);
+        const right = this.formatArgument(argument.right, precedence + 1);
+        const text = `${left} ${argument.operator} ${right}`;
+
+        return precedence < minPrecedence ? `(${text})` : text;
+    }
+
+    formatCall(call) {
+        return `${call.name}(${call.args.map(arg => this.formatArgument(arg)).join(', ')})`;
+    }
+
+    // Condición con los paréntesis mínimos para conservar su estructura
+    formatCondition(condition, minPrecedence = 0) {
+        let text;
+
+        switch (condition.type) {
+            case 'Sensor':
+                text = condition.sensor;
+                break;
+            case 'FunctionCall':
+                text = this.formatCall(condition);
+                break;
+            case 'Comparison':
+                text = `${this.formatArgument(condition.left)} ${condition.operator} ${this.formatArgument(condition.right)}`;
+                break;
+            case 'Not':
+                text = `no ${this.formatCondition(condition.operand, CONDITION_PRECEDENCE.Not)}`;
+                break;
+            case 'And':
+            case 'Or': {
+                const precedence = CONDITION_PRECEDENCE[condition.type];
+                const operator = condition.type === 'And' ? 'y' : 'o';
+                const left = this.formatCondition(condition.left, precedence);
+                const right = this.formatCondition(condition.right, precedence + 1);
+                text = `${left} ${operator} ${right}`;
+                break;
+            }
+        }
+
+        return CONDITION_PRECEDENCE[condition.type] < minPrecedence ? `(${text})` : text;
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawFormatter
+    };
+}
@@ -0,0 +1,289 @@
+// =====================================================
+// QDRAW GRADER - CORRECCIÓN AUTOMÁTICA
+// =====================================================
+// Ejecuta un programa sobre uno o más casos (tablero inicial +
+// tableros finales esperados) y compara celda por celda.
+// Se usa desde la interfaz (panel "Verificar") y desde cli.js.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js como globales;
+// en Node se cargan con require.
+const GraderCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./interpreter.js')
+    : { QdrawTokenizer, QdrawParser, QdrawInterpreter, QdrawExecutor, QdrawPalette, COLORS, BOARD_MODES };
+
+/*
+ * Formato de un caso (el mismo que usa cloneState para el tablero,
+ * grid[y][x] con y = 0 en la fila de abajo):
+ *
+ * {
+ *   "name": "Cuadrado rojo",
+ *   "width": 4,
+ *   "height": 4,
+ *   "mode": "colores",
+ *   "initial": { "grid": [[...]], "headX": 0, "headY": 0 },
+ *   "expected": [ { "grid": [[...]], "headX": 2, "headY": 0 } ]
+ * }
+ *
+ * - "mode" es opcional: "colores" (por defecto) o "bolitas", donde cada
+ *   celda es null o la cantidad de bolitas de cada color ({ "rojo": 2 }).
+ * - "initial.grid" es opcional (tablero vacío).
+ * - "expected" puede ser un tablero o una lista; alcanza con coincidir con uno.
+ * - Si un tablero esperado no tiene headX/headY, no se verifica el cabezal.
+ */
+
+class QdrawGrader {
+    // options.palette: colores del ejercicio (la paleta predefinida si falta)
+    // options.mode: modo de los casos que no lo indican
+    constructor(code, options = {}) {
+        this.code = code;
+        this.palette = options.palette || GraderCore.QdrawPalette.DEFAULT;
+        this.mode = options.mode || GraderCore.BOARD_MODES.COLORES;
+    }
+
+    // Corrige el programa contra todos los casos
+    async grade(cases) {
+        const results = [];
+        let ast = null;
+        let compileError = null;
+
+        try {
+            const tokens = new GraderCore.QdrawTokenizer(this.code, this.palette).tokenize();
+            ast = new GraderCore.QdrawParser(tokens).parse();
+        } catch (error) {
+            compileError = error;
+        }
+
+        for (let i = 0; i < cases.length; i++) {
+            const testCase = QdrawGrader.normalizeCase(cases[i], i, this.palette, this.mode);
+
+            if (compileError) {
+                results.push(this.createResult(testCase, { error: compileError }));
+                continue;
+            }
+
+            results.push(await this.runCase(ast, testCase));
+        }
+
+        const passed = results.filter(result => result.passed).length;
+
+        return {
+            passed,
+            total: results.length,
+            success: passed === results.length,
+            results
+        };
+    }
+
+    // Ejecuta un único caso y lo compara con sus tableros esperados
+    async runCase(ast, testCase) {
+        const interpreter = new GraderCore.QdrawInterpreter(testCase.width, testCase.height, this.palette, testCase.mode);
+        interpreter.restoreState(testCase.initial);
+        interpreter.speed = 0;
+
+        let executor = null;
+        let error = null;
+
+        try {
+            executor = new GraderCore.QdrawExecutor(interpreter, ast);
+            const result = await executor.execute();
+            if (!result.success) {
+                error = result.error;
+            }
+        } catch (e) {
+            error = e;
+        }
+
+        return this.createResult(testCase, {
+            error,
+            steps: executor ? executor.stepCount : 0,
+            finalState: interpreter.cloneState()
+        });
+    }
+
+    // error es el error de Qdraw (o null); el resultado guarda su mensaje,
+    // su código (BOOM, STEP_LIMIT, ...) y la línea donde ocurrió
+    createResult(testCase, { error = null, steps = 0, finalState = null }) {
+        const result = {
+            name: testCase.name,
+            width: testCase.width,
+            height: testCase.height,
+            mode: testCase.mode,
+            passed: false,
+            error: error ? error.message : null,
+            errorCode: error ? error.code || null : null,
+            errorLine: error ? error.line || null : null,
+            steps,
+            finalState,
+            matchedExpected: -1,
+            mismatches: [],
+            head: null
+        };
+
+        if (!finalState) {
+            return result;
+        }
+
+        // Elegir el tablero esperado más parecido para reportar la diferencia
+        let best = null;
+        testCase.expected.forEach((expected, index) => {
+            const diff = QdrawGrader.compareBoards(finalState, expected);
+            const score = diff.mismatches.length + (diff.head ? 1 : 0);
+            if (!best || score < best.score) {
+                best = { index, score, diff };
+            }
+        });
+
+        result.mismatches = best.diff.mismatches;
+        result.head = best.diff.head;
+        result.passed = !error && best.score === 0;
+        result.matchedExpected = result.passed ? best.index : -1;
+
+        return result;
+    }
+
+    // Diferencias celda por celda entre un estado final y uno esperado
+    static compareBoards(actual, expected) {
+        const mismatches = [];
+
+        for (let y = 0; y < expected.grid.length; y++) {
+            for (let x = 0; x < expected.grid[y].length; x++) {
+                const expectedColor = expected.grid[y][x];
+                const actualColor = actual.grid[y][x];
+                if (!GraderCore.QdrawInterpreter.sameCell(expectedColor, actualColor)) {
+                    mismatches.push({ x, y, expected: expectedColor, actual: actualColor });
+                }
+            }
+        }
+
+        let head = null;
+        const checksHead = expected.headX !== undefined && expected.headY !== undefined;
+        if (checksHead && (expected.headX !== actual.headX || expected.headY !== actual.headY)) {
+            head = {
+                expected: { x: expected.headX, y: expected.headY },
+                actual: { x: actual.headX, y: actual.headY }
+            };
+        }
+
+        return { mismatches, head };
+    }
+
+    // Valida un caso y completa los valores por defecto
+    static normalizeCase(testCase, index = 0, palette = GraderCore.QdrawPalette.DEFAULT, defaultMode = GraderCore.BOARD_MODES.COLORES) {
+        const name = testCase.name || `Caso ${index + 1}`;
+        const fail = (message) => {
+            // El número de caso va siempre, también si el caso tiene nombre
+            const label = testCase.name ? `Caso ${index + 1} (${name})` : name;
+            throw new Error(`${label}: ${message}`);
+        };
+
+        const mode = testCase.mode || defaultMode;
+        if (!Object.values(GraderCore.BOARD_MODES).includes(mode)) {
+            fail(`modo de tablero desconocido '${mode}' (puede ser "colores" o "bolitas")`);
+        }
+
+        const expectedList = Array.isArray(testCase.expected) ? testCase.expected : [testCase.expected];
+        if (!testCase.expected || expectedList.length === 0) {
+            fail('falta el tablero esperado ("expected")');
+        }
+
+        const initial = testCase.initial || {};
+        const referenceGrid = initial.grid || expectedList[0].grid;
+        const height = testCase.height || (referenceGrid ? referenceGrid.length : 0);
+        const width = testCase.width || (referenceGrid && referenceGrid[0] ? referenceGrid[0].length : 0);
+
+        if (!width || !height) {
+            fail('no se pudieron determinar las dimensiones del tablero');
+        }
+
+        const checkGrid = (grid, label) => {
+            try {
+                GraderCore.QdrawInterpreter.validateGrid(grid, width, height, palette, mode);
+            } catch (error) {
+                fail(`el tablero ${label} ${error.message}`);
+            }
+        };
+
+        const initialGrid = initial.grid
+            || Array(height).fill(null).map(() => Array(width).fill(null));
+        checkGrid(initialGrid, 'inicial');
+        expectedList.forEach((expected, i) => checkGrid(expected.grid, `esperado ${i + 1}`));
+
+        const headX = initial.headX || 0;
+        const headY = initial.headY || 0;
+        if (!Number.isInteger(headX) || !Number.isInteger(headY)) {
+            fail(`la posición del cabezal inicial (${JSON.stringify(headX)}, ${JSON.stringify(headY)}) no es un par de números enteros`);
+        }
+        if (headX < 0 || headX >= width || headY < 0 || headY >= height) {
+            fail(`el cabezal inicial (${headX}, ${headY}) está fuera del tablero`);
+        }
+
+        return {
+            name,
+            width,
+            height,
+            mode,
+            initial: {
+                grid: initialGrid,
+                headX,
+                headY
+            },
+            expected: expectedList
+        };
+    }
+
+    // Nombre legible de una celda para los reportes: su color o sus bolitas
+    static describeColor(cell) {
+        if (cell === GraderCore.COLORS.EMPTY) {
+            return 'vacía';
+        }
+        if (typeof cell === 'object') {
+            return Object.entries(cell)
+                .map(([color, count]) => `${count} ${count === 1 ? 'bolita' : 'bolitas'} de ${color}`)
+                .join(', ');
+        }
+        return cell;
+    }
+
+    // Reporte en texto plano (para la línea de comandos)
+    static formatReport(report) {
+        const lines = [];
+
+        for (const result of report.results) {
+            lines.push(`${result.passed ? '✓' : '✗'} ${result.name}`);
+
+            if (result.error) {
+                lines.push(`    Error: ${result.error.split('\n')[0]}`);
+            }
+            for (const m of result.mismatches) {
+                lines.push(
+                    `    (${m.x}, ${m.y}): se esperaba ${QdrawGrader.describeColor(m.expected)}, ` +
+                    `se obtuvo ${QdrawGrader.describeColor(m.actual)}`
+                );
+            }
+            if (result.head) {
+                lines.push(
+                    `    Cabezal: se esperaba (${result.head.expected.x}, ${result.head.expected.y}), ` +
+                    `se obtuvo (${result.head.actual.x}, ${result.head.actual.y})`
+                );
+            }
+        }
+
+        lines.push('');
+        lines.push(`Resultado: ${report.passed}/${report.total} casos correctos`);
+
+        return lines.join('\n');
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawGrader
+    };
+}
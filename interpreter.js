@@ -29,35 +29,71 @@ const TOKEN_TYPES = {
     // Keywords
     PROGRAMA: 'PROGRAMA',
     PROCEDIMIENTO: 'PROCEDIMIENTO',
+    FUNCION: 'FUNCION',
+    DEVOLVER: 'DEVOLVER',
     SI: 'SI',
     SINO: 'SINO',
     REPETIR: 'REPETIR',
     VECES: 'VECES',
+    MIENTRAS: 'MIENTRAS',
+    VARIABLE: 'VARIABLE',
+    
+    // Operadores lógicos
+    NO: 'NO',
+    Y: 'Y',
+    O: 'O',
     
     // Comandos
     MOVER_ARRIBA: 'MOVER_ARRIBA',
     MOVER_ABAJO: 'MOVER_ABAJO',
     MOVER_DERECHA: 'MOVER_DERECHA',
     MOVER_IZQUIERDA: 'MOVER_IZQUIERDA',
-    PINTAR_NEGRO: 'PINTAR_NEGRO',
-    PINTAR_ROJO: 'PINTAR_ROJO',
-    PINTAR_VERDE: 'PINTAR_VERDE',
+    MOVER: 'MOVER',
+    PINTAR: 'PINTAR',
+    PINTAR_COLOR: 'PINTAR_COLOR',      // PintarRojo, PintarAzul, ... (uno por color)
     LIMPIAR: 'LIMPIAR',
+    PONER: 'PONER',
+    SACAR: 'SACAR',
     
     // Sensores
     ESTA_VACIA: 'ESTA_VACIA',
-    ESTA_PINTADA_NEGRO: 'ESTA_PINTADA_NEGRO',
-    ESTA_PINTADA_ROJO: 'ESTA_PINTADA_ROJO',
-    ESTA_PINTADA_VERDE: 'ESTA_PINTADA_VERDE',
+    ESTA_PINTADA: 'ESTA_PINTADA',      // estaPintadaDeRojo?, ... (uno por color)
+    HAY_BOLITAS: 'HAY_BOLITAS',        // hayBolitasDeRojo?, ... (uno por color)
+    PUEDE_MOVER_ARRIBA: 'PUEDE_MOVER_ARRIBA',
+    PUEDE_MOVER_ABAJO: 'PUEDE_MOVER_ABAJO',
+    PUEDE_MOVER_DERECHA: 'PUEDE_MOVER_DERECHA',
+    PUEDE_MOVER_IZQUIERDA: 'PUEDE_MOVER_IZQUIERDA',
+    
+    // Consultas numéricas (anchoTablero, altoTablero, posicionX, posicionY)
+    QUERY: 'QUERY',
+    
+    // Operadores aritméticos
+    PLUS: 'PLUS',               // +
+    MINUS: 'MINUS',             // -
+    TIMES: 'TIMES',             // *
+    DIV: 'DIV',                 // div (división entera)
+    MOD: 'MOD',                 // mod (resto)
+    
+    // Asignación y comparaciones
+    ASSIGN: 'ASSIGN',           // :=
+    EQUAL: 'EQUAL',             // ==
+    NOT_EQUAL: 'NOT_EQUAL',     // !=
+    LESS: 'LESS',               // <
+    LESS_EQUAL: 'LESS_EQUAL',   // <=
+    GREATER: 'GREATER',         // >
+    GREATER_EQUAL: 'GREATER_EQUAL', // >=
     
     // Símbolos
     LBRACE: 'LBRACE',           // {
     RBRACE: 'RBRACE',           // }
     LPAREN: 'LPAREN',           // (
     RPAREN: 'RPAREN',           // )
+    COMMA: 'COMMA',             // ,
     
     // Literales
     NUMBER: 'NUMBER',
+    DIRECTION: 'DIRECTION',
+    COLOR: 'COLOR',
     IDENTIFIER: 'IDENTIFIER',
     
     // Control
@@ -66,46 +102,374 @@ const TOKEN_TYPES = {
     EOF: 'EOF'
 };
 
+// Operadores de dos o un carácter que no son palabras (ver tokenizeOperator)
+const SYMBOL_OPERATORS = {
+    ':=': TOKEN_TYPES.ASSIGN,
+    '==': TOKEN_TYPES.EQUAL,
+    '!=': TOKEN_TYPES.NOT_EQUAL,
+    '<=': TOKEN_TYPES.LESS_EQUAL,
+    '>=': TOKEN_TYPES.GREATER_EQUAL,
+    '<': TOKEN_TYPES.LESS,
+    '>': TOKEN_TYPES.GREATER
+};
+
+const COMPARISON_TOKENS = [
+    TOKEN_TYPES.EQUAL,
+    TOKEN_TYPES.NOT_EQUAL,
+    TOKEN_TYPES.LESS,
+    TOKEN_TYPES.LESS_EQUAL,
+    TOKEN_TYPES.GREATER,
+    TOKEN_TYPES.GREATER_EQUAL
+];
+
+// Colores de la paleta predefinida (ver QdrawPalette)
 const COLORS = {
     ROJO: 'rojo',
     VERDE: 'verde',
     NEGRO: 'negro',
+    AZUL: 'azul',
+    AMARILLO: 'amarillo',
     EMPTY: null
 };
 
+// Modos del tablero: cada celda tiene un color, o una cantidad de
+// bolitas de cada color ({ rojo: 2, azul: 1 }, o null si no tiene ninguna)
+const BOARD_MODES = {
+    COLORES: 'colores',
+    BOLITAS: 'bolitas'
+};
+
+const DIRECTIONS = {
+    ARRIBA: 'Arriba',
+    ABAJO: 'Abajo',
+    DERECHA: 'Derecha',
+    IZQUIERDA: 'Izquierda'
+};
+
+// Tipos de los valores que pueden tomar los parámetros
+const VALUE_TYPES = {
+    NUMBER: 'número',
+    DIRECTION: 'dirección',
+    COLOR: 'color'
+};
+
+// =====================================================
+// ERRORES
+// =====================================================
+
+// Códigos de error: permiten distinguir cada error sin leer el mensaje
+const ERROR_CODES = {
+    // Léxicos
+    UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+    NUMBER_TOO_LARGE: 'NUMBER_TOO_LARGE',
+    UNCLOSED_COMMENT: 'UNCLOSED_COMMENT',
+    
+    // Sintaxis
+    UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+    UNEXPECTED_ELEMENT: 'UNEXPECTED_ELEMENT',
+    MISSING_PROGRAM: 'MISSING_PROGRAM',
+    DUPLICATE_PROGRAM: 'DUPLICATE_PROGRAM',
+    UNCLOSED_BLOCK: 'UNCLOSED_BLOCK',
+    DUPLICATE_PARAMETER: 'DUPLICATE_PARAMETER',
+    UNKNOWN_INSTRUCTION: 'UNKNOWN_INSTRUCTION',
+    UNKNOWN_PARAMETER: 'UNKNOWN_PARAMETER',
+    UNKNOWN_VARIABLE: 'UNKNOWN_VARIABLE',
+    DUPLICATE_VARIABLE: 'DUPLICATE_VARIABLE',
+    INVALID_ASSIGNMENT: 'INVALID_ASSIGNMENT',
+    INVALID_VALUE: 'INVALID_VALUE',
+    INVALID_CONDITION: 'INVALID_CONDITION',
+    INVALID_RETURN: 'INVALID_RETURN',
+    
+    // Ejecución
+    BOOM: 'BOOM',
+    TYPE_MISMATCH: 'TYPE_MISMATCH',
+    UNDEFINED_PROCEDURE: 'UNDEFINED_PROCEDURE',
+    DUPLICATE_PROCEDURE: 'DUPLICATE_PROCEDURE',
+    UNDEFINED_FUNCTION: 'UNDEFINED_FUNCTION',
+    DUPLICATE_FUNCTION: 'DUPLICATE_FUNCTION',
+    ARITY_MISMATCH: 'ARITY_MISMATCH',
+    INVALID_REPETITIONS: 'INVALID_REPETITIONS',
+    DIVISION_BY_ZERO: 'DIVISION_BY_ZERO',
+    INVALID_BOARD: 'INVALID_BOARD',
+    INVALID_COLOR: 'INVALID_COLOR',
+    WRONG_BOARD_MODE: 'WRONG_BOARD_MODE',
+    INVALID_POSITION: 'INVALID_POSITION',
+    INTERNAL: 'INTERNAL',
+    
+    // Límites
+    STEP_LIMIT: 'STEP_LIMIT',
+    RECURSION_LIMIT: 'RECURSION_LIMIT',
+    REPETITION_LIMIT: 'REPETITION_LIMIT',
+    
+    // Cancelación
+    CANCELLED: 'CANCELLED'
+};
+
+/*
+ * Todos los errores de Qdraw extienden QdrawError:
+ *
+ *   QdrawError
+ *   ├── QdrawLexicalError     (tokenizer)
+ *   ├── QdrawSyntaxError      (parser)
+ *   ├── QdrawRuntimeError     (ejecución)
+ *   │   ├── QdrawBoomError    (el cabezal se salió del tablero)
+ *   │   └── QdrawLimitError   (pasos, recursión o repeticiones)
+ *   └── QdrawCancelledError   (el usuario detuvo la ejecución)
+ *
+ * message conserva el formato de siempre ("Línea N: descripción"
+ * seguido de las sugerencias), así que se puede mostrar tal cual.
+ */
+class QdrawError extends Error {
+    constructor(description, { code = ERROR_CODES.INTERNAL, range = null, hints = [], callStack = null } = {}) {
+        super(description);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.description = description;
+        this.hints = hints;
+        this.callStack = callStack; // Marcos { name, line } al momento del error
+        this.line = null;
+        this.column = null;
+        this.endLine = null;
+        this.endColumn = null;
+        
+        if (range) {
+            this.setRange(range);
+        } else {
+            this.message = this.format();
+        }
+    }
+    
+    // Ubicar el error en el código (columnas desde 1, fin exclusivo)
+    setRange(range) {
+        this.line = range.line;
+        this.column = range.column || null;
+        this.endLine = range.endLine || range.line;
+        this.endColumn = range.endColumn || null;
+        this.message = this.format();
+        return this;
+    }
+    
+    format() {
+        const location = this.line ? `Línea ${this.line}: ` : '';
+        return [location + this.description, ...this.hints].join('\n');
+    }
+}
+
+class QdrawLexicalError extends QdrawError {}
+
+class QdrawSyntaxError extends QdrawError {}
+
+class QdrawRuntimeError extends QdrawError {}
+
+class QdrawBoomError extends QdrawRuntimeError {
+    constructor(description, options = {}) {
+        super(description, { ...options, code: ERROR_CODES.BOOM });
+    }
+}
+
+class QdrawLimitError extends QdrawRuntimeError {}
+
+class QdrawCancelledError extends QdrawError {
+    constructor() {
+        super('Ejecución detenida por el usuario', { code: ERROR_CODES.CANCELLED });
+    }
+}
+
+// =====================================================
+// PALETA DE COLORES
+// =====================================================
+
+// Colores predefinidos, en el orden en que se recorren al hacer click en una celda
+const DEFAULT_PALETTE = [
+    { name: COLORS.ROJO, hex: '#e74c3c' },
+    { name: COLORS.VERDE, hex: '#27ae60' },
+    { name: COLORS.NEGRO, hex: '#2c3e50' },
+    { name: COLORS.AZUL, hex: '#2980b9' },
+    { name: COLORS.AMARILLO, hex: '#f1c40f' }
+];
+
+// Cada color de la paleta genera su comando (PintarAzul), sus sensores
+// (estaPintadaDeAzul?, hayBolitasDeAzul?) y su valor para Pintar(color) (Azul).
+// Los ejercicios pueden agregar colores propios: QdrawPalette.withColors([...])
+class QdrawPalette {
+    constructor(colors = DEFAULT_PALETTE) {
+        this.colors = [];
+        for (const color of colors) {
+            this.add(color);
+        }
+    }
+    
+    // Paleta predefinida más los colores propios de un ejercicio
+    static withColors(extraColors = []) {
+        return new QdrawPalette([...DEFAULT_PALETTE, ...extraColors]);
+    }
+    
+    // name: en minúsculas y sin tildes (se usa en los nombres de comandos).
+    // symbol: letra para mostrar el color en ASCII (si falta se elige una).
+    add({ name, hex, symbol = null }) {
+        if (typeof name !== 'string' || !/^[a-z]+$/.test(name)) {
+            throw new QdrawError(
+                `Nombre de color inválido '${name}': solo letras minúsculas sin tildes (por ejemplo 'celeste')`,
+                { code: ERROR_CODES.INVALID_COLOR }
+            );
+        }
+        if (this.has(name)) {
+            throw new QdrawError(`El color '${name}' está repetido`, { code: ERROR_CODES.INVALID_COLOR });
+        }
+        
+        const literal = QdrawPalette.literalName(name);
+        if (Object.values(DIRECTIONS).includes(literal)) {
+            throw new QdrawError(`'${name}' no puede ser un color: es una dirección`, { code: ERROR_CODES.INVALID_COLOR });
+        }
+        if (['Mover', 'Pintar', 'Limpiar', 'Poner', 'Sacar'].includes(literal)) {
+            throw new QdrawError(`'${name}' no puede ser un color: es un comando`, { code: ERROR_CODES.INVALID_COLOR });
+        }
+        if (typeof hex !== 'string' || !/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(hex)) {
+            throw new QdrawError(`Color '${name}': '${hex}' no es un color CSS (#rrggbb)`, { code: ERROR_CODES.INVALID_COLOR });
+        }
+        
+        const used = this.colors.map(color => color.symbol);
+        if (symbol !== null && (!/^[A-Z]$/.test(symbol) || used.includes(symbol))) {
+            throw new QdrawError(`Color '${name}': el símbolo '${symbol}' no es una letra mayúscula libre`, { code: ERROR_CODES.INVALID_COLOR });
+        }
+        // Primera letra del nombre que no use otro color (amarillo: A ya es azul, M)
+        const candidates = [...name.toUpperCase(), ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'];
+        
+        this.colors.push({
+            name,
+            hex,
+            literal,
+            symbol: symbol || candidates.find(letter => !used.includes(letter)) || '?'
+        });
+    }
+    
+    has(name) {
+        return this.colors.some(color => color.name === name);
+    }
+    
+    get(name) {
+        return this.colors.find(color => color.name === name) || null;
+    }
+    
+    names() {
+        return this.colors.map(color => color.name);
+    }
+    
+    // Colores agregados a la paleta predefinida (los que se guardan en un proyecto)
+    customColors() {
+        return this.colors
+            .filter(color => !DEFAULT_PALETTE.some(base => base.name === color.name))
+            .map(({ name, hex, symbol }) => ({ name, hex, symbol }));
+    }
+    
+    // Color siguiente al hacer click en una celda: vacía → primer color → ... → vacía
+    next(name) {
+        if (name === COLORS.EMPTY) {
+            return this.colors[0].name;
+        }
+        const index = this.colors.findIndex(color => color.name === name);
+        return index >= 0 && index < this.colors.length - 1 ? this.colors[index + 1].name : COLORS.EMPTY;
+    }
+    
+    // Nombres en el lenguaje: Azul, PintarAzul, estaPintadaDeAzul?
+    static literalName(name) {
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    
+    static commandName(name) {
+        return `Pintar${QdrawPalette.literalName(name)}`;
+    }
+    
+    static sensorName(name) {
+        return `estaPintadaDe${QdrawPalette.literalName(name)}?`;
+    }
+    
+    static ballsSensorName(name) {
+        return `hayBolitasDe${QdrawPalette.literalName(name)}?`;
+    }
+    
+    // Color a partir de su nombre en el lenguaje (inversas de las anteriores)
+    static fromLiteral(literal) {
+        return literal.toLowerCase();
+    }
+    
+    static fromCommand(command) {
+        return QdrawPalette.fromLiteral(command.slice('Pintar'.length));
+    }
+    
+    static fromSensor(sensor) {
+        return QdrawPalette.fromLiteral(sensor.slice('estaPintadaDe'.length, -1));
+    }
+    
+    static fromBallsSensor(sensor) {
+        return QdrawPalette.fromLiteral(sensor.slice('hayBolitasDe'.length, -1));
+    }
+}
+
+QdrawPalette.DEFAULT = new QdrawPalette();
+
 // =====================================================
 // TOKENIZER (LEXER)
 // =====================================================
 
 class QdrawTokenizer {
-    constructor(sourceCode) {
+    constructor(sourceCode, palette = QdrawPalette.DEFAULT) {
         this.source = sourceCode;
         this.pos = 0;
         this.line = 1;
         this.column = 1;
         this.tokens = [];
+        this.errors = []; // Errores léxicos encontrados (ver tokenizeWithRecovery)
+        this.comments = []; // Comentarios /* ... */ con su ubicación
         
         // Keywords map
         this.keywords = {
             'programa': TOKEN_TYPES.PROGRAMA,
             'procedimiento': TOKEN_TYPES.PROCEDIMIENTO,
+            'funcion': TOKEN_TYPES.FUNCION,
+            'devolver': TOKEN_TYPES.DEVOLVER,
             'si': TOKEN_TYPES.SI,
             'sino': TOKEN_TYPES.SINO,
             'repetir': TOKEN_TYPES.REPETIR,
             'veces': TOKEN_TYPES.VECES,
+            'mientras': TOKEN_TYPES.MIENTRAS,
+            'variable': TOKEN_TYPES.VARIABLE,
+            'no': TOKEN_TYPES.NO,
+            'y': TOKEN_TYPES.Y,
+            'o': TOKEN_TYPES.O,
+            'div': TOKEN_TYPES.DIV,
+            'mod': TOKEN_TYPES.MOD,
+            'anchoTablero': TOKEN_TYPES.QUERY,
+            'altoTablero': TOKEN_TYPES.QUERY,
+            'posicionX': TOKEN_TYPES.QUERY,
+            'posicionY': TOKEN_TYPES.QUERY,
             'MoverArriba': TOKEN_TYPES.MOVER_ARRIBA,
             'MoverAbajo': TOKEN_TYPES.MOVER_ABAJO,
             'MoverDerecha': TOKEN_TYPES.MOVER_DERECHA,
             'MoverIzquierda': TOKEN_TYPES.MOVER_IZQUIERDA,
-            'PintarNegro': TOKEN_TYPES.PINTAR_NEGRO,
-            'PintarRojo': TOKEN_TYPES.PINTAR_ROJO,
-            'PintarVerde': TOKEN_TYPES.PINTAR_VERDE,
+            'Mover': TOKEN_TYPES.MOVER,
+            'Pintar': TOKEN_TYPES.PINTAR,
             'Limpiar': TOKEN_TYPES.LIMPIAR,
+            'Poner': TOKEN_TYPES.PONER,
+            'Sacar': TOKEN_TYPES.SACAR,
             'estaVacia?': TOKEN_TYPES.ESTA_VACIA,
-            'estaPintadaDeNegro?': TOKEN_TYPES.ESTA_PINTADA_NEGRO,
-            'estaPintadaDeRojo?': TOKEN_TYPES.ESTA_PINTADA_ROJO,
-            'estaPintadaDeVerde?': TOKEN_TYPES.ESTA_PINTADA_VERDE
+            'puedeMoverArriba?': TOKEN_TYPES.PUEDE_MOVER_ARRIBA,
+            'puedeMoverAbajo?': TOKEN_TYPES.PUEDE_MOVER_ABAJO,
+            'puedeMoverDerecha?': TOKEN_TYPES.PUEDE_MOVER_DERECHA,
+            'puedeMoverIzquierda?': TOKEN_TYPES.PUEDE_MOVER_IZQUIERDA,
+            'Arriba': TOKEN_TYPES.DIRECTION,
+            'Abajo': TOKEN_TYPES.DIRECTION,
+            'Derecha': TOKEN_TYPES.DIRECTION,
+            'Izquierda': TOKEN_TYPES.DIRECTION
         };
+        
+        // Comando, sensor y valor de cada color de la paleta
+        for (const name of palette.names()) {
+            this.keywords[QdrawPalette.commandName(name)] = TOKEN_TYPES.PINTAR_COLOR;
+            this.keywords[QdrawPalette.sensorName(name)] = TOKEN_TYPES.ESTA_PINTADA;
+            this.keywords[QdrawPalette.ballsSensorName(name)] = TOKEN_TYPES.HAY_BOLITAS;
+            this.keywords[QdrawPalette.literalName(name)] = TOKEN_TYPES.COLOR;
+        }
     }
     
     // Utilidades de navegación
@@ -152,16 +516,28 @@ class QdrawTokenizer {
         return this.isAlpha(char) || this.isDigit(char);
     }
     
-    // Crear token
-    createToken(type, value = null) {
+    // Crear token: desde la posición de inicio hasta la posición actual (exclusiva)
+    createToken(type, value = null, start = { line: this.line, column: this.column }) {
         return {
             type,
             value,
-            line: this.line,
-            column: this.column
+            line: start.line,
+            column: start.column,
+            endLine: this.line,
+            endColumn: this.column
         };
     }
     
+    // Posición actual, para marcar el inicio de un token
+    position() {
+        return { line: this.line, column: this.column };
+    }
+    
+    // Error léxico con el rango exacto del código donde ocurrió
+    error(range, code, description, hints = []) {
+        return new QdrawLexicalError(description, { code, range, hints });
+    }
+    
     // Saltar Espacios
     skipWhitespace() {
         while (!this.isAtEnd() && this.isWhitespace(this.current())) {
@@ -169,10 +545,14 @@ class QdrawTokenizer {
         }
     }
     
-    // Saltar comentarios (con soporte para comentarios anidados)
+    // Saltar comentarios (con soporte para comentarios anidados).
+    // No generan tokens para el parser: se guardan aparte en this.comments
+    // (los usa el formateador para no perderlos)
     skipComment() {
         if (this.current() === '/' && this.peek() === '*') {
             // Comentario multilínea con soporte para anidamiento
+            const start = this.position();
+            const startPos = this.pos;
             this.advance(); // /
             this.advance(); // *
             
@@ -197,9 +577,14 @@ class QdrawTokenizer {
             }
             
             if (depth > 0) {
-                throw new Error(`Línea ${this.line}: Comentario sin cerrar`);
+                this.errors.push(this.error(
+                    { ...start, endLine: start.line, endColumn: start.column + 2 },
+                    ERROR_CODES.UNCLOSED_COMMENT,
+                    `Comentario sin cerrar`
+                ));
             }
             
+            this.comments.push(this.createToken(TOKEN_TYPES.COMMENT, this.source.slice(startPos, this.pos), start));
             return true;
         }
         return false;
@@ -207,8 +592,7 @@ class QdrawTokenizer {
     
     // Tokenizar número
     tokenizeNumber() {
-        const startLine = this.line;
-        const startCol = this.column;
+        const start = this.position();
         let numStr = '';
         
         while (!this.isAtEnd() && this.isDigit(this.current())) {
@@ -219,14 +603,34 @@ class QdrawTokenizer {
         
         // Validación de número
         if (value > 1000000) {
-            throw new Error(`Línea ${startLine}: Número demasiado grande (${value})`);
+            this.errors.push(this.error(
+                this.createToken(TOKEN_TYPES.NUMBER, value, start),
+                ERROR_CODES.NUMBER_TOO_LARGE,
+                `Número demasiado grande (${value})`
+            ));
+        }
+        
+        return this.createToken(TOKEN_TYPES.NUMBER, value, start);
+    }
+    
+    // Tokenizar asignación o comparación (:=, ==, !=, <, <=, >, >=); null si no es ninguna
+    tokenizeOperator() {
+        const pair = this.current() + (this.peek() || '');
+        const text = SYMBOL_OPERATORS[pair] ? pair : this.current();
+        if (!SYMBOL_OPERATORS[text]) {
+            return null;
         }
         
-        return this.createToken(TOKEN_TYPES.NUMBER, value);
+        const start = this.position();
+        for (let i = 0; i < text.length; i++) {
+            this.advance();
+        }
+        return this.createToken(SYMBOL_OPERATORS[text], text, start);
     }
     
     // Tokenizar identificador o keyword
     tokenizeIdentifier() {
+        const start = this.position();
         let identifier = '';
         
         while (!this.isAtEnd() && this.isAlphaNumeric(this.current())) {
@@ -236,12 +640,27 @@ class QdrawTokenizer {
         // Checkear si es una keyword
         const tokenType = this.keywords[identifier] || TOKEN_TYPES.IDENTIFIER;
         
-        return this.createToken(tokenType, identifier);
+        return this.createToken(tokenType, identifier, start);
     }
     
-    // Tokenización principal
+    // Tokenización principal: lanza el primer error léxico
     tokenize() {
+        const { tokens, errors } = this.tokenizeWithRecovery();
+        
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+        
+        return tokens;
+    }
+    
+    // Tokenizar sin detenerse en los errores: los caracteres inválidos se
+    // descartan y se devuelven todos los errores junto con los tokens
+    // (y los comentarios, que no forman parte de los tokens)
+    tokenizeWithRecovery() {
         this.tokens = [];
+        this.errors = [];
+        this.comments = [];
         
         while (!this.isAtEnd()) {
             this.skipWhitespace();
@@ -263,26 +682,53 @@ class QdrawTokenizer {
             
             // ímbolos
             if (char === '{') {
-                this.tokens.push(this.createToken(TOKEN_TYPES.LBRACE, '{'));
+                const start = this.position();
                 this.advance();
+                this.tokens.push(this.createToken(TOKEN_TYPES.LBRACE, '{', start));
                 continue;
             }
             
             if (char === '}') {
-                this.tokens.push(this.createToken(TOKEN_TYPES.RBRACE, '}'));
+                const start = this.position();
                 this.advance();
+                this.tokens.push(this.createToken(TOKEN_TYPES.RBRACE, '}', start));
                 continue;
             }
             
             if (char === '(') {
-                this.tokens.push(this.createToken(TOKEN_TYPES.LPAREN, '('));
+                const start = this.position();
                 this.advance();
+                this.tokens.push(this.createToken(TOKEN_TYPES.LPAREN, '(', start));
                 continue;
             }
             
             if (char === ')') {
-                this.tokens.push(this.createToken(TOKEN_TYPES.RPAREN, ')'));
+                const start = this.position();
+                this.advance();
+                this.tokens.push(this.createToken(TOKEN_TYPES.RPAREN, ')', start));
+                continue;
+            }
+            
+            if (char === ',') {
+                const start = this.position();
+                this.advance();
+                this.tokens.push(this.createToken(TOKEN_TYPES.COMMA, ',', start));
+                continue;
+            }
+            
+            // Operadores aritméticos (div y mod son palabras clave)
+            if (char === '+' || char === '-' || char === '*') {
+                const start = this.position();
                 this.advance();
+                const operators = { '+': TOKEN_TYPES.PLUS, '-': TOKEN_TYPES.MINUS, '*': TOKEN_TYPES.TIMES };
+                this.tokens.push(this.createToken(operators[char], char, start));
+                continue;
+            }
+            
+            // Asignación y comparaciones
+            const operator = this.tokenizeOperator();
+            if (operator) {
+                this.tokens.push(operator);
                 continue;
             }
             
@@ -301,19 +747,27 @@ class QdrawTokenizer {
             // Carácter desconocido
             const charCode = char.charCodeAt(0);
             const displayChar = charCode >= 32 && charCode <= 126 ? char : `\\u${charCode.toString(16).padStart(4, '0')}`;
+            const hints = char === '=' || char === ':' || char === '!'
+                ? [`Para cambiar el valor de una variable se usa ':=' (n := n + 1).`, `Para comparar se usa '==' o '!=' (si(n == 0) { ... }).`]
+                : [
+                    `Este carácter no es válido en Qdraw.`,
+                    `Caracteres válidos: letras (a-z, A-Z), números (0-9), símbolos ({, }, (, ), ?, ,, +, -, *, :=, ==, !=, <, <=, >, >=).`,
+                    `Verifica que no haya caracteres especiales o símbolos no soportados.`
+                ];
             
-            throw new Error(
-                `Línea ${this.line}: Carácter inesperado '${displayChar}'.\n` +
-                `Este carácter no es válido en Qdraw.\n` +
-                `Caracteres válidos: letras (a-z, A-Z), números (0-9), símbolos ({, }, (, ), ?).\n` +
-                `Verifica que no haya caracteres especiales o símbolos no soportados.`
-            );
+            this.errors.push(this.error(
+                { line: this.line, column: this.column, endLine: this.line, endColumn: this.column + 1 },
+                ERROR_CODES.UNEXPECTED_CHARACTER,
+                `Carácter inesperado '${displayChar}'.`,
+                hints
+            ));
+            this.advance();
         }
         
         // Agregar token EOF
         this.tokens.push(this.createToken(TOKEN_TYPES.EOF, null));
         
-        return this.tokens;
+        return { tokens: this.tokens, errors: this.errors, comments: this.comments };
     }
 }
 
@@ -325,6 +779,10 @@ class QdrawParser {
     constructor(tokens) {
         this.tokens = tokens;
         this.pos = 0;
+        this.currentParams = []; // Parámetros del procedimiento que se está parseando
+        this.scopes = [];        // Variables declaradas en cada bloque abierto (ver parseStatements)
+        this.currentFunction = null; // Función que se está parseando (su cuerpo termina en 'devolver')
+        this.errors = [];        // Errores de sintaxis encontrados (ver parseWithRecovery)
     }
     
     // Utilidades de navegación
@@ -363,17 +821,36 @@ class QdrawParser {
         return null;
     }
     
+    // Error de sintaxis ubicado en el rango del token indicado
+    error(token, code, description, hints = []) {
+        return new QdrawSyntaxError(description, { code, range: this.rangeOf(token), hints });
+    }
+    
+    // Rango de un token en el código (columnas de Monaco, fin exclusivo)
+    rangeOf(token) {
+        return {
+            line: token.line,
+            column: token.column,
+            endLine: token.endLine,
+            endColumn: token.endColumn
+        };
+    }
+    
     // Esperar token con mejores mensajes de error
     expect(type, message) {
         const token = this.current();
         if (token.type !== type) {
             const found = token.value || this.getTokenTypeName(token.type);
             const expected = this.getTokenTypeName(type);
-            throw new Error(
-                `Línea ${token.line}: Error de sintaxis.\n` +
-                `Se esperaba: ${expected}\n` +
-                `Se encontró: '${found}'\n` +
-                `${message}`
+            throw this.error(
+                token,
+                ERROR_CODES.UNEXPECTED_TOKEN,
+                `Error de sintaxis.`,
+                [
+                    `Se esperaba: ${expected}`,
+                    `Se encontró: '${found}'`,
+                    message
+                ]
             );
         }
         return this.advance();
@@ -386,63 +863,198 @@ class QdrawParser {
             [TOKEN_TYPES.RBRACE]: "'}' (llave de cierre)",
             [TOKEN_TYPES.LPAREN]: "'(' (paréntesis de apertura)",
             [TOKEN_TYPES.RPAREN]: "')' (paréntesis de cierre)",
+            [TOKEN_TYPES.COMMA]: "',' (coma)",
+            [TOKEN_TYPES.PLUS]: "'+'",
+            [TOKEN_TYPES.MINUS]: "'-'",
+            [TOKEN_TYPES.TIMES]: "'*'",
+            [TOKEN_TYPES.DIV]: "'div'",
+            [TOKEN_TYPES.MOD]: "'mod'",
+            [TOKEN_TYPES.ASSIGN]: "':='",
+            [TOKEN_TYPES.EQUAL]: "'=='",
+            [TOKEN_TYPES.NOT_EQUAL]: "'!='",
+            [TOKEN_TYPES.LESS]: "'<'",
+            [TOKEN_TYPES.LESS_EQUAL]: "'<='",
+            [TOKEN_TYPES.GREATER]: "'>'",
+            [TOKEN_TYPES.GREATER_EQUAL]: "'>='",
+            [TOKEN_TYPES.VARIABLE]: "'variable'",
             [TOKEN_TYPES.PROGRAMA]: "'programa'",
             [TOKEN_TYPES.PROCEDIMIENTO]: "'procedimiento'",
+            [TOKEN_TYPES.FUNCION]: "'funcion'",
+            [TOKEN_TYPES.DEVOLVER]: "'devolver'",
             [TOKEN_TYPES.SI]: "'si'",
             [TOKEN_TYPES.SINO]: "'sino'",
             [TOKEN_TYPES.REPETIR]: "'repetir'",
             [TOKEN_TYPES.VECES]: "'veces'",
+            [TOKEN_TYPES.MIENTRAS]: "'mientras'",
+            [TOKEN_TYPES.NO]: "'no'",
+            [TOKEN_TYPES.Y]: "'y'",
+            [TOKEN_TYPES.O]: "'o'",
             [TOKEN_TYPES.IDENTIFIER]: "nombre de procedimiento",
             [TOKEN_TYPES.NUMBER]: "número",
+            [TOKEN_TYPES.DIRECTION]: "dirección (Arriba, Abajo, Derecha, Izquierda)",
+            [TOKEN_TYPES.COLOR]: "color (Rojo, Verde, Negro, ...)",
+            [TOKEN_TYPES.QUERY]: "consulta (anchoTablero, altoTablero, posicionX, posicionY)",
             [TOKEN_TYPES.EOF]: "fin de archivo"
         };
         return names[type] || type;
     }
     
-    // Parsear programa
+    // Parsear programa: lanza el primer error de sintaxis
     parse() {
+        const { ast, errors } = this.parseWithRecovery();
+        
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+        
+        return ast;
+    }
+    
+    // Parsear programa sin detenerse en el primer error (modo pánico).
+    // Devuelve el AST parcial (sin las instrucciones y bloques con errores)
+    // y la lista de todos los errores de sintaxis, en orden.
+    parseWithRecovery() {
         const ast = {
             type: 'Program',
             program: null,
-            procedures: []
+            procedures: [],
+            functions: []
         };
+        let foundProgram = false;
+        this.errors = [];
         
         while (!this.isAtEnd()) {
-            if (this.check(TOKEN_TYPES.PROGRAMA)) {
-                if (ast.program) {
-                    throw new Error(
-                        `Línea ${this.current().line}: Solo puede haber un bloque 'programa'.\n` +
-                        `Ya se definió un bloque 'programa' anteriormente.\n` +
-                        `Elimina el bloque duplicado.`
+            const start = this.pos;
+            
+            try {
+                if (this.check(TOKEN_TYPES.PROGRAMA)) {
+                    if (foundProgram) {
+                        this.recordError(this.error(
+                            this.current(),
+                            ERROR_CODES.DUPLICATE_PROGRAM,
+                            `Solo puede haber un bloque 'programa'.`,
+                            [
+                                `Ya se definió un bloque 'programa' anteriormente.`,
+                                `Elimina el bloque duplicado.`
+                            ]
+                        ));
+                        this.parseProgram(); // Se analiza igual para informar sus errores
+                        continue;
+                    }
+                    foundProgram = true;
+                    ast.program = this.parseProgram();
+                } else if (this.check(TOKEN_TYPES.PROCEDIMIENTO)) {
+                    ast.procedures.push(this.parseProcedure());
+                } else if (this.check(TOKEN_TYPES.FUNCION)) {
+                    ast.functions.push(this.parseFunction());
+                } else {
+                    const token = this.current();
+                    const found = token.value || this.getTokenTypeName(token.type);
+                    throw this.error(
+                        token,
+                        ERROR_CODES.UNEXPECTED_ELEMENT,
+                        `Elemento inesperado '${found}'.`,
+                        [
+                            `Se esperaba: 'programa', 'procedimiento' o 'funcion'`,
+                            `Los archivos Qdraw deben contener:`,
+                            `  - Un bloque 'programa { ... }' (obligatorio)`,
+                            `  - Uno o más 'procedimiento nombre(parámetros) { ... }' (opcional)`,
+                            `  - Una o más 'funcion nombre(parámetros) { ... devolver valor }' (opcional)`
+                        ]
                     );
                 }
-                ast.program = this.parseProgram();
-            } else if (this.check(TOKEN_TYPES.PROCEDIMIENTO)) {
-                ast.procedures.push(this.parseProcedure());
-            } else {
-                const token = this.current();
-                const found = token.value || this.getTokenTypeName(token.type);
-                throw new Error(
-                    `Línea ${token.line}: Elemento inesperado '${found}'.\n` +
-                    `Se esperaba: 'programa' o 'procedimiento'\n` +
-                    `Los archivos Qdraw deben contener:\n` +
-                    `  - Un bloque 'programa { ... }' (obligatorio)\n` +
-                    `  - Uno o más 'procedimiento nombre() { ... }' (opcional)`
-                );
+            } catch (error) {
+                this.recover(error, start);
+                
+                // Seguir en el próximo bloque 'programa', 'procedimiento' o 'funcion'
+                while (!this.isAtEnd() && !this.isTopLevelStart()) {
+                    this.advance();
+                }
             }
         }
         
-        if (!ast.program) {
-            throw new Error(
-                `No se encontró el bloque 'programa'.\n` +
-                `Todo código Qdraw debe tener un bloque principal:\n` +
-                `programa {\n` +
-                `  // tu código aquí\n` +
-                `}`
-            );
+        if (!foundProgram) {
+            this.recordError(new QdrawSyntaxError(`No se encontró el bloque 'programa'.`, {
+                code: ERROR_CODES.MISSING_PROGRAM,
+                hints: [
+                    `Todo código Qdraw debe tener un bloque principal:`,
+                    `programa {`,
+                    `  // tu código aquí`,
+                    `}`
+                ]
+            }));
         }
         
-        return ast;
+        return { ast, errors: this.errors };
+    }
+    
+    // Recuperación de errores
+    recordError(error) {
+        // Una llave faltante deja abiertos todos los bloques que la rodean:
+        // se informa solo el primero
+        if (error.code === ERROR_CODES.UNCLOSED_BLOCK &&
+            this.errors.some(previous => previous.code === ERROR_CODES.UNCLOSED_BLOCK)) {
+            return;
+        }
+        this.errors.push(error);
+    }
+    
+    // Registrar un error y asegurar que el parser avance al menos un token
+    recover(error, start) {
+        if (!(error instanceof QdrawSyntaxError)) {
+            throw error;
+        }
+        this.recordError(error);
+        
+        if (this.pos === start) {
+            this.advance();
+        }
+    }
+    
+    // Descartar tokens hasta el comienzo de la próxima instrucción o el
+    // cierre del bloque. Los bloques { ... } que se saltean se analizan
+    // igual (y se descartan) para informar sus errores y no desbalancear las llaves.
+    synchronize() {
+        while (!this.isAtEnd()) {
+            if (this.check(TOKEN_TYPES.LBRACE)) {
+                this.advance();
+                this.parseStatements();
+                this.match(TOKEN_TYPES.RBRACE);
+                continue;
+            }
+            
+            if (this.check(TOKEN_TYPES.RBRACE) || this.check(TOKEN_TYPES.DEVOLVER) ||
+                this.isStatementStart() || this.isTopLevelStart()) {
+                return;
+            }
+            
+            this.advance();
+        }
+    }
+    
+    isStatementStart() {
+        return this.check(TOKEN_TYPES.MOVER_ARRIBA) ||
+               this.check(TOKEN_TYPES.MOVER_ABAJO) ||
+               this.check(TOKEN_TYPES.MOVER_DERECHA) ||
+               this.check(TOKEN_TYPES.MOVER_IZQUIERDA) ||
+               this.check(TOKEN_TYPES.PINTAR_COLOR) ||
+               this.check(TOKEN_TYPES.LIMPIAR) ||
+               this.check(TOKEN_TYPES.MOVER) ||
+               this.check(TOKEN_TYPES.PINTAR) ||
+               this.check(TOKEN_TYPES.PONER) ||
+               this.check(TOKEN_TYPES.SACAR) ||
+               this.check(TOKEN_TYPES.REPETIR) ||
+               this.check(TOKEN_TYPES.SI) ||
+               this.check(TOKEN_TYPES.MIENTRAS) ||
+               this.check(TOKEN_TYPES.VARIABLE) ||
+               (this.check(TOKEN_TYPES.IDENTIFIER) &&
+                   (this.peek().type === TOKEN_TYPES.LPAREN || this.peek().type === TOKEN_TYPES.ASSIGN));
+    }
+    
+    isTopLevelStart() {
+        return this.check(TOKEN_TYPES.PROGRAMA) ||
+               this.check(TOKEN_TYPES.PROCEDIMIENTO) ||
+               this.check(TOKEN_TYPES.FUNCION);
     }
     
     // Parsear bloque programa
@@ -453,10 +1065,14 @@ class QdrawParser {
         const body = this.parseStatements();
         
         if (this.isAtEnd()) {
-            throw new Error(
-                `Línea ${startToken.line}: El bloque 'programa' no fue cerrado.\n` +
-                `Falta una llave de cierre '}' al final.\n` +
-                `Cada '{' debe tener su '}' correspondiente.`
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `El bloque 'programa' no fue cerrado.`,
+                [
+                    `Falta una llave de cierre '}' al final.`,
+                    `Cada '{' debe tener su '}' correspondiente.`
+                ]
             );
         }
         
@@ -465,7 +1081,8 @@ class QdrawParser {
         return {
             type: 'ProgramBlock',
             body,
-            line: startToken.line
+            line: startToken.line,
+            range: this.rangeOf(startToken)
         };
     }
     
@@ -482,28 +1099,34 @@ class QdrawParser {
         
         this.expect(
             TOKEN_TYPES.LPAREN,
-            "Después del nombre debe ir '()'.\n" +
-            "Los procedimientos en Qdraw no tienen parámetros, pero los paréntesis son obligatorios.\n" +
-            `Ejemplo: procedimiento ${name}() { ... }`
-        );
-        this.expect(
-            TOKEN_TYPES.RPAREN,
-            "Los procedimientos necesitan '()' aunque no tengan parámetros.\n" +
-            `Ejemplo: procedimiento ${name}() { ... }`
+            "Después del nombre debe ir '(' con la lista de parámetros.\n" +
+            "Si el procedimiento no tiene parámetros, los paréntesis igual son obligatorios.\n" +
+            `Ejemplo: procedimiento ${name}() { ... } o procedimiento ${name}(n) { ... }`
         );
+        const params = this.parseParameters(name);
         this.expect(
             TOKEN_TYPES.LBRACE,
-            "Después de '()' debe ir '{' para abrir el bloque del procedimiento.\n" +
+            "Después de ')' debe ir '{' para abrir el bloque del procedimiento.\n" +
             `Ejemplo: procedimiento ${name}() { ... }`
         );
         
-        const body = this.parseStatements();
+        this.currentParams = params.map(param => param.name);
+        let body;
+        try {
+            body = this.parseStatements();
+        } finally {
+            this.currentParams = [];
+        }
         
         if (this.isAtEnd()) {
-            throw new Error(
-                `Línea ${startToken.line}: El procedimiento '${name}' no fue cerrado.\n` +
-                `Falta una llave de cierre '}' al final del procedimiento.\n` +
-                `Cada '{' debe tener su '}' correspondiente.`
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `El procedimiento '${name}' no fue cerrado.`,
+                [
+                    `Falta una llave de cierre '}' al final del procedimiento.`,
+                    `Cada '{' debe tener su '}' correspondiente.`
+                ]
             );
         }
         
@@ -512,60 +1135,256 @@ class QdrawParser {
         return {
             type: 'Procedure',
             name,
+            params,
+            body,
+            line: startToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
+        };
+    }
+    
+    // Parsear función: funcion nombre(parámetros) { instrucciones devolver valor }
+    // Si el nombre termina en '?' es un sensor y devuelve una condición;
+    // si no, devuelve un número, una dirección o un color.
+    parseFunction() {
+        const startToken = this.expect(TOKEN_TYPES.FUNCION, "Se esperaba la palabra 'funcion'");
+        
+        const nameToken = this.expect(
+            TOKEN_TYPES.IDENTIFIER,
+            "Después de 'funcion' debe ir un nombre.\n" +
+            "Ejemplo: funcion hayNegroAdelante?() { ... } o funcion distanciaAlBorde() { ... }"
+        );
+        const name = nameToken.value;
+        const sensor = name.endsWith('?');
+        
+        this.expect(
+            TOKEN_TYPES.LPAREN,
+            "Después del nombre debe ir '(' con la lista de parámetros.\n" +
+            "Si la función no tiene parámetros, los paréntesis igual son obligatorios.\n" +
+            `Ejemplo: funcion ${name}() { ... }`
+        );
+        const params = this.parseParameters(name, 'funcion');
+        this.expect(
+            TOKEN_TYPES.LBRACE,
+            "Después de ')' debe ir '{' para abrir el bloque de la función.\n" +
+            `Ejemplo: funcion ${name}() { ... }`
+        );
+        
+        // El valor que se devuelve puede usar las variables del cuerpo
+        this.currentParams = params.map(param => param.name);
+        this.currentFunction = name;
+        this.scopes.push(new Set());
+        let body;
+        let result;
+        try {
+            body = this.parseStatementList();
+            
+            if (this.isAtEnd()) {
+                throw this.error(
+                    startToken,
+                    ERROR_CODES.UNCLOSED_BLOCK,
+                    `La función '${name}' no fue cerrada.`,
+                    [
+                        `Falta una llave de cierre '}' al final de la función.`,
+                        `Cada '{' debe tener su '}' correspondiente.`
+                    ]
+                );
+            }
+            
+            this.expect(
+                TOKEN_TYPES.DEVOLVER,
+                `La función '${name}' tiene que terminar con 'devolver' y el valor que calcula.\n` +
+                (sensor ? 'Ejemplo: devolver estaPintadaDeNegro?' : 'Ejemplo: devolver pasos')
+            );
+            result = sensor ? this.parseCondition() : this.parseArgument();
+        } finally {
+            this.currentParams = [];
+            this.currentFunction = null;
+            this.scopes.pop();
+        }
+        
+        if (this.isAtEnd()) {
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `La función '${name}' no fue cerrada.`,
+                [`Falta una llave de cierre '}' después de 'devolver'.`]
+            );
+        }
+        
+        this.expect(TOKEN_TYPES.RBRACE, `Después de 'devolver' solo puede ir el '}' que cierra la función '${name}'.`);
+        
+        return {
+            type: 'Function',
+            name,
+            params,
             body,
-            line: startToken.line
+            result,
+            sensor,
+            line: startToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
         };
     }
     
+    // Parsear lista de parámetros declarados (hasta el ')' inclusive)
+    parseParameters(procName, keyword = 'procedimiento') {
+        const params = [];
+        
+        if (this.match(TOKEN_TYPES.RPAREN)) {
+            return params;
+        }
+        
+        do {
+            const paramToken = this.expect(
+                TOKEN_TYPES.IDENTIFIER,
+                "Los parámetros deben ser nombres separados por comas.\n" +
+                `Ejemplo: ${keyword} ${procName}(n, color) { ... }`
+            );
+            
+            if (params.some(param => param.name === paramToken.value)) {
+                throw this.error(
+                    paramToken,
+                    ERROR_CODES.DUPLICATE_PARAMETER,
+                    `El parámetro '${paramToken.value}' está repetido en '${procName}'.`,
+                    [`Cada parámetro debe tener un nombre distinto.`]
+                );
+            }
+            
+            params.push({ name: paramToken.value, line: paramToken.line, range: this.rangeOf(paramToken) });
+        } while (this.match(TOKEN_TYPES.COMMA));
+        
+        this.expect(
+            TOKEN_TYPES.RPAREN,
+            "Después de los parámetros debe ir ')'. Separa los parámetros con comas.\n" +
+            `Ejemplo: ${keyword} ${procName}(n, color) { ... }`
+        );
+        
+        return params;
+    }
+    
     // Parsear instrucciones
+    // Los errores de cada instrucción se registran y se sigue con la próxima.
+    // 'programa' o 'procedimiento' también terminan el bloque: casi siempre
+    // significa que falta la '}' del bloque anterior.
+    // Las variables declaradas en el bloque se pueden usar hasta su '}'.
     parseStatements() {
+        this.scopes.push(new Set());
+        
+        try {
+            return this.parseStatementList();
+        } finally {
+            this.scopes.pop();
+        }
+    }
+    
+    // Instrucciones hasta la '}' (o hasta el 'devolver' del cuerpo de una
+    // función), declarando las variables en el bloque abierto más interno
+    parseStatementList() {
         const statements = [];
         
-        while (!this.check(TOKEN_TYPES.RBRACE) && !this.isAtEnd()) {
-            statements.push(this.parseStatement());
+        while (!this.check(TOKEN_TYPES.RBRACE) && !this.isAtEnd() && !this.isTopLevelStart() && !this.isFunctionReturn()) {
+            const start = this.pos;
+            
+            try {
+                statements.push(this.parseStatement());
+            } catch (error) {
+                this.recover(error, start);
+                this.synchronize();
+            }
         }
         
         return statements;
     }
     
+    // 'devolver' solo puede ir al final del cuerpo de una función, fuera de todo bloque
+    isFunctionReturn() {
+        return this.check(TOKEN_TYPES.DEVOLVER) && this.currentFunction !== null && this.scopes.length === 1;
+    }
+    
+    // Variable declarada en el bloque actual o en uno que lo contiene
+    isVariable(name) {
+        return this.scopes.some(scope => scope.has(name));
+    }
+    
+    // Parámetros y variables que se pueden usar en este punto
+    visibleNames() {
+        return [...this.currentParams, ...this.scopes.flatMap(scope => Array.from(scope))];
+    }
+    
     // Parsear instrucción individual
     parseStatement() {
         const token = this.current();
         
         // Comandos
         if (this.match(TOKEN_TYPES.MOVER_ARRIBA)) {
-            return { type: 'Command', command: 'MoverArriba', line: token.line };
+            return { type: 'Command', command: 'MoverArriba', line: token.line, range: this.rangeOf(token) };
         }
         if (this.match(TOKEN_TYPES.MOVER_ABAJO)) {
-            return { type: 'Command', command: 'MoverAbajo', line: token.line };
+            return { type: 'Command', command: 'MoverAbajo', line: token.line, range: this.rangeOf(token) };
         }
         if (this.match(TOKEN_TYPES.MOVER_DERECHA)) {
-            return { type: 'Command', command: 'MoverDerecha', line: token.line };
+            return { type: 'Command', command: 'MoverDerecha', line: token.line, range: this.rangeOf(token) };
         }
         if (this.match(TOKEN_TYPES.MOVER_IZQUIERDA)) {
-            return { type: 'Command', command: 'MoverIzquierda', line: token.line };
+            return { type: 'Command', command: 'MoverIzquierda', line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.PINTAR_COLOR)) {
+            return {
+                type: 'Command',
+                command: token.value,
+                color: QdrawPalette.fromCommand(token.value),
+                line: token.line,
+                range: this.rangeOf(token)
+            };
         }
-        if (this.match(TOKEN_TYPES.PINTAR_NEGRO)) {
-            return { type: 'Command', command: 'PintarNegro', line: token.line };
+        if (this.match(TOKEN_TYPES.LIMPIAR)) {
+            return { type: 'Command', command: 'Limpiar', line: token.line, range: this.rangeOf(token) };
         }
-        if (this.match(TOKEN_TYPES.PINTAR_ROJO)) {
-            return { type: 'Command', command: 'PintarRojo', line: token.line };
+        if (this.match(TOKEN_TYPES.MOVER)) {
+            return this.parseCommandWithArgument('Mover', 'Direction', token, 'Mover(Arriba)');
         }
-        if (this.match(TOKEN_TYPES.PINTAR_VERDE)) {
-            return { type: 'Command', command: 'PintarVerde', line: token.line };
+        if (this.match(TOKEN_TYPES.PINTAR)) {
+            return this.parseCommandWithArgument('Pintar', 'Color', token, 'Pintar(Rojo)');
         }
-        if (this.match(TOKEN_TYPES.LIMPIAR)) {
-            return { type: 'Command', command: 'Limpiar', line: token.line };
+        if (this.match(TOKEN_TYPES.PONER)) {
+            return this.parseCommandWithArgument('Poner', 'Color', token, 'Poner(Rojo)');
+        }
+        if (this.match(TOKEN_TYPES.SACAR)) {
+            return this.parseCommandWithArgument('Sacar', 'Color', token, 'Sacar(Rojo)');
         }
         
         // Repetir
         if (this.match(TOKEN_TYPES.REPETIR)) {
-            return this.parseRepetir(token.line);
+            return this.parseRepetir(token);
         }
         
         // Si
         if (this.match(TOKEN_TYPES.SI)) {
-            return this.parseSi(token.line);
+            return this.parseSi(token);
+        }
+        
+        // Mientras
+        if (this.match(TOKEN_TYPES.MIENTRAS)) {
+            return this.parseMientras(token);
+        }
+        
+        if (this.check(TOKEN_TYPES.DEVOLVER)) {
+            throw this.error(
+                token,
+                ERROR_CODES.INVALID_RETURN,
+                `'devolver' solo puede ir al final de una función.`,
+                [
+                    `Va una sola vez, después de todas las instrucciones y fuera de los bloques.`,
+                    `Ejemplo: funcion hayNegroAdelante?() { MoverDerecha devolver estaPintadaDeNegro? }`
+                ]
+            );
+        }
+        
+        // Variables
+        if (this.match(TOKEN_TYPES.VARIABLE)) {
+            return this.parseVariableDeclaration(token);
+        }
+        if (this.check(TOKEN_TYPES.IDENTIFIER) && this.peek().type === TOKEN_TYPES.ASSIGN) {
+            return this.parseAssignment();
         }
         
         // Llamada a procedimiento
@@ -574,41 +1393,326 @@ class QdrawParser {
         }
         
         const found = token.value || this.getTokenTypeName(token.type);
-        throw new Error(
-            `Línea ${token.line}: Instrucción no reconocida '${found}'.\n` +
-            `Instrucciones válidas:\n` +
-            `  - Movimiento: MoverArriba, MoverAbajo, MoverDerecha, MoverIzquierda\n` +
-            `  - Dibujo: PintarNegro, PintarRojo, PintarVerde, Limpiar\n` +
-            `  - Control: repetir N veces { ... }, si(...) { ... } sino { ... }\n` +
-            `  - Llamadas: nombreProcedimiento()`
+        throw this.error(
+            token,
+            ERROR_CODES.UNKNOWN_INSTRUCTION,
+            `Instrucción no reconocida '${found}'.`,
+            [
+                `Instrucciones válidas:`,
+                `  - Movimiento: MoverArriba, MoverAbajo, MoverDerecha, MoverIzquierda, Mover(dirección)`,
+                `  - Dibujo: PintarRojo, PintarVerde, ... (uno por color), Pintar(color), Limpiar`,
+                `  - Bolitas: Poner(color), Sacar(color)`,
+                `  - Control: repetir N veces { ... }, si(...) { ... } sino { ... }, mientras(...) { ... }`,
+                `  - Variables: variable n := 0, n := n + 1`,
+                `  - Llamadas: nombreProcedimiento() o nombreProcedimiento(argumentos)`
+            ]
         );
     }
     
-    // Parsear repetir
-    parseRepetir(line) {
-        const countToken = this.expect(
-            TOKEN_TYPES.NUMBER,
-            "Después de 'repetir' debe ir un número.\n" +
-            "Ejemplo: repetir 10 veces { ... }"
+    // Parsear declaración: variable nombre := valor
+    parseVariableDeclaration(startToken) {
+        const nameToken = this.expect(
+            TOKEN_TYPES.IDENTIFIER,
+            "Después de 'variable' debe ir el nombre de la variable.\n" +
+            "Ejemplo: variable n := 0"
         );
+        const name = nameToken.value;
+        
+        if (this.currentParams.includes(name) || this.isVariable(name)) {
+            const existing = this.currentParams.includes(name) ? 'un parámetro' : 'una variable';
+            throw this.error(
+                nameToken,
+                ERROR_CODES.DUPLICATE_VARIABLE,
+                `Ya hay ${existing} con el nombre '${name}'.`,
+                [
+                    `Usa otro nombre para la variable nueva.`,
+                    `Para cambiar el valor de una variable que ya existe: ${name} := ...`
+                ]
+            );
+        }
+        
         this.expect(
-            TOKEN_TYPES.VECES,
-            "Después del número debe ir la palabra 'veces'.\n" +
-            `Ejemplo: repetir ${countToken.value} veces { ... }`
+            TOKEN_TYPES.ASSIGN,
+            "Las variables se declaran con un valor inicial.\n" +
+            `Ejemplo: variable ${name} := 0`
         );
-        this.expect(
-            TOKEN_TYPES.LBRACE,
+        const value = this.parseArgument();
+        
+        // Se declara después de leer el valor: 'variable n := n' es un error
+        this.scopes[this.scopes.length - 1].add(name);
+        
+        return {
+            type: 'VariableDeclaration',
+            name,
+            value,
+            line: startToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
+        };
+    }
+    
+    // Parsear asignación: nombre := valor
+    parseAssignment() {
+        const nameToken = this.advance();
+        const name = nameToken.value;
+        
+        if (this.currentParams.includes(name)) {
+            throw this.error(
+                nameToken,
+                ERROR_CODES.INVALID_ASSIGNMENT,
+                `No se puede cambiar el valor del parámetro '${name}'.`,
+                [
+                    `Los parámetros reciben su valor en cada llamada.`,
+                    `Si necesitas cambiarlo, cópialo en una variable: variable otro := ${name}`
+                ]
+            );
+        }
+        if (!this.isVariable(name)) {
+            throw this.error(
+                nameToken,
+                ERROR_CODES.UNKNOWN_VARIABLE,
+                `La variable '${name}' no fue declarada.`,
+                [
+                    `Declárala antes de usarla: variable ${name} := 0`,
+                    `Las variables solo existen dentro del bloque donde se declaran.`
+                ]
+            );
+        }
+        
+        this.advance(); // :=
+        const value = this.parseArgument();
+        
+        return {
+            type: 'Assignment',
+            name,
+            value,
+            line: nameToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
+        };
+    }
+    
+    // Parsear comando con argumento: Mover(dirección), Pintar(color), Poner(color), Sacar(color)
+    parseCommandWithArgument(command, argumentType, startToken, example) {
+        this.expect(
+            TOKEN_TYPES.LPAREN,
+            `Después de '${command}' debe ir '(' con el argumento.\n` +
+            `Ejemplo: ${example}`
+        );
+        const argumentToken = this.current();
+        const argument = this.parseArgument();
+        this.checkLiteralType(argument, argumentToken, argumentType, `'${command}'`, example);
+        this.expect(
+            TOKEN_TYPES.RPAREN,
+            `Después del argumento de '${command}' debe ir ')'.\n` +
+            `Ejemplo: ${example}`
+        );
+        
+        return { type: 'Command', command, argument, line: startToken.line, range: this.rangeOf(startToken) };
+    }
+    
+    // Parsear argumento: dirección, color, parámetro o una expresión numérica
+    // con + - * div mod y paréntesis (* div mod tienen mayor precedencia)
+    parseArgument() {
+        let left = this.parseProduct();
+        
+        while (this.check(TOKEN_TYPES.PLUS) || this.check(TOKEN_TYPES.MINUS)) {
+            const operator = this.advance();
+            left = this.binaryOperation(operator, left, this.parseProduct());
+        }
+        
+        return left;
+    }
+    
+    parseProduct() {
+        let left = this.parseValue();
+        
+        while (this.check(TOKEN_TYPES.TIMES) || this.check(TOKEN_TYPES.DIV) || this.check(TOKEN_TYPES.MOD)) {
+            const operator = this.advance();
+            left = this.binaryOperation(operator, left, this.parseValue());
+        }
+        
+        return left;
+    }
+    
+    // Nodo de una operación; los operandos literales tienen que ser números
+    binaryOperation(operator, left, right) {
+        for (const operand of [left, right]) {
+            const type = QdrawParser.literalType(operand);
+            if (type !== null && type !== 'Number') {
+                throw this.error(
+                    operand.range,
+                    ERROR_CODES.TYPE_MISMATCH,
+                    `'${operator.value}' opera con números, pero '${operand.value}' es de tipo ${QdrawParser.typeName(type)}.`,
+                    [`Ejemplo: repetir anchoTablero - 1 veces { ... }`]
+                );
+            }
+        }
+        
+        return {
+            type: 'BinaryOp',
+            operator: operator.value,
+            left,
+            right,
+            line: left.line,
+            range: {
+                line: left.range.line,
+                column: left.range.column,
+                endLine: right.range.endLine,
+                endColumn: right.range.endColumn
+            }
+        };
+    }
+    
+    // Parsear un valor: número, consulta, dirección, color, parámetro, variable o (expresión)
+    parseValue() {
+        const token = this.current();
+        
+        if (this.match(TOKEN_TYPES.LPAREN)) {
+            const expression = this.parseArgument();
+            this.expect(
+                TOKEN_TYPES.RPAREN,
+                "Falta ')' para cerrar la expresión.\n" +
+                "Ejemplo: repetir (anchoTablero - 1) * 2 veces { ... }"
+            );
+            return expression;
+        }
+        if (this.match(TOKEN_TYPES.QUERY)) {
+            return { type: 'Query', name: token.value, line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.NUMBER)) {
+            return { type: 'Number', value: token.value, line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.DIRECTION)) {
+            return { type: 'Direction', value: token.value, line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.COLOR)) {
+            return { type: 'Color', value: QdrawPalette.fromLiteral(token.value), line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.check(TOKEN_TYPES.IDENTIFIER) && this.peek().type === TOKEN_TYPES.LPAREN) {
+            if (token.value.endsWith('?')) {
+                throw this.error(
+                    token,
+                    ERROR_CODES.INVALID_VALUE,
+                    `'${token.value}' es un sensor: devuelve verdadero o falso y solo se usa como condición.`,
+                    [`Ejemplo: si(${token.value}()) { ... }`]
+                );
+            }
+            return this.parseFunctionCall();
+        }
+        if (this.match(TOKEN_TYPES.IDENTIFIER)) {
+            if (this.isVariable(token.value)) {
+                return { type: 'Variable', name: token.value, line: token.line, range: this.rangeOf(token) };
+            }
+            if (!this.currentParams.includes(token.value)) {
+                const names = this.visibleNames();
+                const available = names.length > 0
+                    ? `Parámetros y variables disponibles: ${names.join(', ')}`
+                    : `Aquí no hay parámetros ni variables disponibles.`;
+                throw this.error(
+                    token,
+                    ERROR_CODES.UNKNOWN_PARAMETER,
+                    `'${token.value}' no es un parámetro ni una variable.`,
+                    [
+                        available,
+                        `Solo se pueden usar los parámetros del procedimiento donde está la instrucción`,
+                        `y las variables declaradas antes, en el mismo bloque o en uno que lo contiene.`
+                    ]
+                );
+            }
+            return { type: 'Parameter', name: token.value, line: token.line, range: this.rangeOf(token) };
+        }
+        
+        const found = token.value || this.getTokenTypeName(token.type);
+        throw this.error(
+            token,
+            ERROR_CODES.INVALID_VALUE,
+            `Valor no válido '${found}'.`,
+            [
+                `Se esperaba un número, una consulta (anchoTablero, altoTablero, posicionX, posicionY),`,
+                `una dirección (Arriba, Abajo, Derecha, Izquierda), un color (Rojo, Verde, Negro, ...)`,
+                `el nombre de un parámetro o una variable, o una llamada a una función.`
+            ]
+        );
+    }
+    
+    // Verificar el tipo de un argumento literal (los parámetros se verifican al ejecutar)
+    checkLiteralType(argument, argumentToken, expectedType, context, example) {
+        const type = QdrawParser.literalType(argument);
+        if (type === null || type === expectedType) {
+            return;
+        }
+        
+        const found = argument.type === type ? `'${argument.value}'` : 'una expresión';
+        throw this.error(
+            argument.range || argumentToken,
+            ERROR_CODES.TYPE_MISMATCH,
+            `${context} espera un valor de tipo ${QdrawParser.typeName(expectedType)}, ` +
+            `pero recibió ${found} (${QdrawParser.typeName(type)}).`,
+            [`Ejemplo: ${example}`]
+        );
+    }
+    
+    // Tipo de un valor que se conoce sin ejecutar ('Number', 'Direction' o 'Color'),
+    // o null si depende de un parámetro, una variable o una función. Las operaciones y consultas son números.
+    static literalType(argument) {
+        switch (argument.type) {
+            case 'Parameter':
+            case 'Variable':
+            case 'FunctionCall':
+                return null;
+            case 'BinaryOp':
+            case 'Query':
+                return 'Number';
+            default:
+                return argument.type;
+        }
+    }
+    
+    static typeName(type) {
+        const typeNames = {
+            Number: VALUE_TYPES.NUMBER,
+            Direction: VALUE_TYPES.DIRECTION,
+            Color: VALUE_TYPES.COLOR
+        };
+        return typeNames[type];
+    }
+    
+    // Parsear repetir
+    parseRepetir(startToken) {
+        const line = startToken.line;
+        const countStarts = [TOKEN_TYPES.NUMBER, TOKEN_TYPES.IDENTIFIER, TOKEN_TYPES.QUERY, TOKEN_TYPES.LPAREN];
+        if (!countStarts.some(type => this.check(type))) {
+            this.expect(
+                TOKEN_TYPES.NUMBER,
+                "Después de 'repetir' debe ir un número, un parámetro o una expresión.\n" +
+                "Ejemplo: repetir 10 veces { ... } o repetir anchoTablero - 1 veces { ... }"
+            );
+        }
+        const countToken = this.current();
+        const count = this.parseArgument();
+        this.checkLiteralType(count, countToken, 'Number', `'repetir'`, 'repetir 10 veces { ... }');
+        const countText = { Parameter: count.name, Variable: count.name, Number: count.value, Query: count.name }[count.type] || 'n';
+        this.expect(
+            TOKEN_TYPES.VECES,
+            "Después de la cantidad de repeticiones debe ir la palabra 'veces'.\n" +
+            `Ejemplo: repetir ${countText} veces { ... }`
+        );
+        this.expect(
+            TOKEN_TYPES.LBRACE,
             "Después de 'veces' debe ir '{' para abrir el bloque.\n" +
-            `Ejemplo: repetir ${countToken.value} veces { MoverArriba }`
+            `Ejemplo: repetir ${countText} veces { MoverArriba }`
         );
         
         const body = this.parseStatements();
         
         if (this.isAtEnd()) {
-            throw new Error(
-                `Línea ${line}: El bloque 'repetir' no fue cerrado.\n` +
-                `Falta una llave de cierre '}' al final.\n` +
-                `Cada '{' debe tener su '}' correspondiente.`
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `El bloque 'repetir' no fue cerrado.`,
+                [
+                    `Falta una llave de cierre '}' al final.`,
+                    `Cada '{' debe tener su '}' correspondiente.`
+                ]
             );
         }
         
@@ -616,38 +1720,44 @@ class QdrawParser {
         
         return {
             type: 'Repetir',
-            count: countToken.value,
+            count,
             body,
-            line
+            line,
+            range: this.rangeOf(startToken)
         };
     }
     
     // Parsear si
-    parseSi(line) {
+    parseSi(startToken) {
+        const line = startToken.line;
         this.expect(
             TOKEN_TYPES.LPAREN,
             "Después de 'si' debe ir '(' para abrir la condición.\n" +
-            "Ejemplo: si(HayBolita) { ... }"
+            "Ejemplo: si(hayBolitasDeRojo?) { ... }"
         );
         const condition = this.parseCondition();
         this.expect(
             TOKEN_TYPES.RPAREN,
             "Después de la condición debe ir ')' para cerrarla.\n" +
-            "Ejemplo: si(HayBolita) { ... }"
+            "Ejemplo: si(hayBolitasDeRojo?) { ... }"
         );
         this.expect(
             TOKEN_TYPES.LBRACE,
             "Después de ')' debe ir '{' para abrir el bloque.\n" +
-            "Ejemplo: si(HayBolita) { PintarRojo }"
+            "Ejemplo: si(hayBolitasDeRojo?) { Sacar(Rojo) }"
         );
         
         const thenBody = this.parseStatements();
         
         if (this.isAtEnd()) {
-            throw new Error(
-                `Línea ${line}: El bloque 'si' no fue cerrado.\n` +
-                `Falta una llave de cierre '}' al final.\n` +
-                `Cada '{' debe tener su '}' correspondiente.`
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `El bloque 'si' no fue cerrado.`,
+                [
+                    `Falta una llave de cierre '}' al final.`,
+                    `Cada '{' debe tener su '}' correspondiente.`
+                ]
             );
         }
         
@@ -663,9 +1773,11 @@ class QdrawParser {
             elseBody = this.parseStatements();
             
             if (this.isAtEnd()) {
-                throw new Error(
-                    `Línea ${line}: El bloque 'sino' no fue cerrado.\n` +
-                    `Falta una llave de cierre '}' al final.`
+                throw this.error(
+                    startToken,
+                    ERROR_CODES.UNCLOSED_BLOCK,
+                    `El bloque 'sino' no fue cerrado.`,
+                    [`Falta una llave de cierre '}' al final.`]
                 );
             }
             
@@ -677,36 +1789,277 @@ class QdrawParser {
             condition,
             thenBody,
             elseBody,
-            line
+            line,
+            range: this.rangeOf(startToken)
         };
     }
     
-    // Parsear condición (sensor)
+    // Parsear mientras
+    parseMientras(startToken) {
+        const line = startToken.line;
+        this.expect(
+            TOKEN_TYPES.LPAREN,
+            "Después de 'mientras' debe ir '(' para abrir la condición.\n" +
+            "Ejemplo: mientras(estaVacia?) { ... }"
+        );
+        const condition = this.parseCondition();
+        this.expect(
+            TOKEN_TYPES.RPAREN,
+            "Después de la condición debe ir ')' para cerrarla.\n" +
+            "Ejemplo: mientras(estaVacia?) { ... }"
+        );
+        this.expect(
+            TOKEN_TYPES.LBRACE,
+            "Después de ')' debe ir '{' para abrir el bloque.\n" +
+            "Ejemplo: mientras(estaVacia?) { MoverDerecha }"
+        );
+        
+        const body = this.parseStatements();
+        
+        if (this.isAtEnd()) {
+            throw this.error(
+                startToken,
+                ERROR_CODES.UNCLOSED_BLOCK,
+                `El bloque 'mientras' no fue cerrado.`,
+                [
+                    `Falta una llave de cierre '}' al final.`,
+                    `Cada '{' debe tener su '}' correspondiente.`
+                ]
+            );
+        }
+        
+        this.expect(TOKEN_TYPES.RBRACE, "El bloque 'mientras' debe cerrarse con '}'");
+        
+        return {
+            type: 'Mientras',
+            condition,
+            body,
+            line,
+            range: this.rangeOf(startToken)
+        };
+    }
+    
+    // Parsear condición: sensores y comparaciones combinados con 'no', 'y', 'o'
+    // y paréntesis. Precedencia (de menor a mayor): o, y, no
     parseCondition() {
+        let left = this.parseAndCondition();
+        
+        while (this.check(TOKEN_TYPES.O)) {
+            const operator = this.advance();
+            const right = this.parseAndCondition();
+            left = { type: 'Or', left, right, line: operator.line, range: this.rangeOf(operator) };
+        }
+        
+        return left;
+    }
+    
+    parseAndCondition() {
+        let left = this.parseNotCondition();
+        
+        while (this.check(TOKEN_TYPES.Y)) {
+            const operator = this.advance();
+            const right = this.parseNotCondition();
+            left = { type: 'And', left, right, line: operator.line, range: this.rangeOf(operator) };
+        }
+        
+        return left;
+    }
+    
+    parseNotCondition() {
+        const token = this.current();
+        
+        if (this.match(TOKEN_TYPES.NO)) {
+            return { type: 'Not', operand: this.parseNotCondition(), line: token.line, range: this.rangeOf(token) };
+        }
+        
+        if (this.check(TOKEN_TYPES.LPAREN)) {
+            return this.parseGroupedCondition();
+        }
+        
+        // Sensor propio: hayNegroAdelante?()
+        if (this.check(TOKEN_TYPES.IDENTIFIER) && this.current().value.endsWith('?') &&
+            this.peek().type === TOKEN_TYPES.LPAREN) {
+            return this.parseFunctionCall();
+        }
+        
+        if (this.isValueStart()) {
+            return this.parseComparison();
+        }
+        
+        return this.parseSensor();
+    }
+    
+    // '(' puede abrir una condición agrupada o una expresión que se compara:
+    // (estaVacia? o n > 2) y (n + 1) * 2 > 5. Se prueba como condición y, si
+    // no lo es, se vuelve atrás y se lee como comparación.
+    parseGroupedCondition() {
+        const start = this.pos;
+        let groupError = null;
+        let groupEnd = start;
+        
+        try {
+            this.advance(); // (
+            const condition = this.parseCondition();
+            this.expect(
+                TOKEN_TYPES.RPAREN,
+                "Falta ')' para cerrar la condición agrupada.\n" +
+                "Ejemplo: si((estaVacia? o estaPintadaDeRojo?) y no estaPintadaDeVerde?) { ... }"
+            );
+            if (!this.isOperator()) {
+                return condition;
+            }
+        } catch (error) {
+            if (!(error instanceof QdrawSyntaxError)) {
+                throw error;
+            }
+            groupError = error;
+            groupEnd = this.pos;
+        }
+        
+        this.pos = start;
+        try {
+            return this.parseComparison();
+        } catch (error) {
+            // Se informa el error de la lectura que llegó más lejos
+            if (groupError && error instanceof QdrawSyntaxError && groupEnd >= this.pos) {
+                throw groupError;
+            }
+            throw error;
+        }
+    }
+    
+    // Un nombre desconocido se lee como sensor, para que el error los liste
+    isValueStart() {
+        const name = this.current().value;
+        const isName = this.isVariable(name) || this.currentParams.includes(name) ||
+            this.peek().type === TOKEN_TYPES.LPAREN;
+        return this.check(TOKEN_TYPES.NUMBER) ||
+               this.check(TOKEN_TYPES.QUERY) ||
+               (this.check(TOKEN_TYPES.IDENTIFIER) && isName) ||
+               this.check(TOKEN_TYPES.DIRECTION) ||
+               this.check(TOKEN_TYPES.COLOR);
+    }
+    
+    // Operador aritmético o de comparación
+    isOperator() {
+        return [TOKEN_TYPES.PLUS, TOKEN_TYPES.MINUS, TOKEN_TYPES.TIMES, TOKEN_TYPES.DIV, TOKEN_TYPES.MOD, ...COMPARISON_TOKENS]
+            .some(type => this.check(type));
+    }
+    
+    // Parsear comparación: valor (==, !=, <, <=, >, >=) valor
+    parseComparison() {
+        const left = this.parseArgument();
+        const operator = this.match(...COMPARISON_TOKENS);
+        
+        if (!operator) {
+            const token = this.current();
+            const found = token.value || this.getTokenTypeName(token.type);
+            throw this.error(
+                token,
+                ERROR_CODES.INVALID_CONDITION,
+                `Se esperaba una comparación (==, !=, <, <=, >, >=) y se encontró '${found}'.`,
+                [
+                    `Un valor solo no es una condición: hay que compararlo con otro.`,
+                    `Ejemplo: si(n > 0) { ... } o mientras(posicionX < anchoTablero - 1) { ... }`
+                ]
+            );
+        }
+        
+        const right = this.parseArgument();
+        const ordering = operator.type !== TOKEN_TYPES.EQUAL && operator.type !== TOKEN_TYPES.NOT_EQUAL;
+        const leftType = QdrawParser.literalType(left);
+        const rightType = QdrawParser.literalType(right);
+        
+        for (const [operand, type] of [[left, leftType], [right, rightType]]) {
+            if (ordering && type !== null && type !== 'Number') {
+                throw this.error(
+                    operand.range,
+                    ERROR_CODES.TYPE_MISMATCH,
+                    `'${operator.value}' compara números, pero '${operand.value}' es de tipo ${QdrawParser.typeName(type)}.`,
+                    [`Las direcciones y los colores solo se comparan con '==' o '!='.`]
+                );
+            }
+        }
+        if (leftType !== null && rightType !== null && leftType !== rightType) {
+            throw this.error(
+                operator,
+                ERROR_CODES.TYPE_MISMATCH,
+                `No se puede comparar un valor de tipo ${QdrawParser.typeName(leftType)} ` +
+                `con uno de tipo ${QdrawParser.typeName(rightType)}.`,
+                [`Ejemplo: si(d == Arriba) { ... }`]
+            );
+        }
+        
+        return {
+            type: 'Comparison',
+            operator: operator.value,
+            left,
+            right,
+            line: operator.line,
+            range: {
+                line: left.range.line,
+                column: left.range.column,
+                endLine: right.range.endLine,
+                endColumn: right.range.endColumn
+            }
+        };
+    }
+    
+    // Parsear sensor
+    parseSensor() {
         const token = this.current();
         
         if (this.match(TOKEN_TYPES.ESTA_VACIA)) {
-            return { type: 'Sensor', sensor: 'estaVacia?', line: token.line };
+            return { type: 'Sensor', sensor: 'estaVacia?', line: token.line, range: this.rangeOf(token) };
         }
-        if (this.match(TOKEN_TYPES.ESTA_PINTADA_NEGRO)) {
-            return { type: 'Sensor', sensor: 'estaPintadaDeNegro?', line: token.line };
+        if (this.match(TOKEN_TYPES.ESTA_PINTADA)) {
+            return {
+                type: 'Sensor',
+                sensor: token.value,
+                color: QdrawPalette.fromSensor(token.value),
+                line: token.line,
+                range: this.rangeOf(token)
+            };
         }
-        if (this.match(TOKEN_TYPES.ESTA_PINTADA_ROJO)) {
-            return { type: 'Sensor', sensor: 'estaPintadaDeRojo?', line: token.line };
+        if (this.match(TOKEN_TYPES.HAY_BOLITAS)) {
+            return {
+                type: 'Sensor',
+                sensor: token.value,
+                color: QdrawPalette.fromBallsSensor(token.value),
+                balls: true,
+                line: token.line,
+                range: this.rangeOf(token)
+            };
         }
-        if (this.match(TOKEN_TYPES.ESTA_PINTADA_VERDE)) {
-            return { type: 'Sensor', sensor: 'estaPintadaDeVerde?', line: token.line };
+        if (this.match(TOKEN_TYPES.PUEDE_MOVER_ARRIBA)) {
+            return { type: 'Sensor', sensor: 'puedeMoverArriba?', line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.PUEDE_MOVER_ABAJO)) {
+            return { type: 'Sensor', sensor: 'puedeMoverAbajo?', line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.PUEDE_MOVER_DERECHA)) {
+            return { type: 'Sensor', sensor: 'puedeMoverDerecha?', line: token.line, range: this.rangeOf(token) };
+        }
+        if (this.match(TOKEN_TYPES.PUEDE_MOVER_IZQUIERDA)) {
+            return { type: 'Sensor', sensor: 'puedeMoverIzquierda?', line: token.line, range: this.rangeOf(token) };
         }
         
         const found = token.value || this.getTokenTypeName(token.type);
-        throw new Error(
-            `Línea ${token.line}: Condición no válida '${found}'.\n` +
-            `Las condiciones válidas (sensores) son:\n` +
-            `  - estaVacia?\n` +
-            `  - estaPintadaDeNegro?\n` +
-            `  - estaPintadaDeRojo?\n` +
-            `  - estaPintadaDeVerde?\n` +
-            `Ejemplo: si(estaVacia?) { PintarRojo }`
+        throw this.error(
+            token,
+            ERROR_CODES.INVALID_CONDITION,
+            `Condición no válida '${found}'.`,
+            [
+                `Las condiciones válidas (sensores) son:`,
+                `  - estaVacia?`,
+                `  - estaPintadaDeRojo?, estaPintadaDeVerde?, ... (uno por color)`,
+                `  - hayBolitasDeRojo?, hayBolitasDeVerde?, ... (uno por color, en el modo bolitas)`,
+                `  - puedeMoverArriba?, puedeMoverAbajo?, puedeMoverDerecha?, puedeMoverIzquierda?`,
+                `También se pueden comparar números, direcciones y colores: n > 0, d == Arriba,`,
+                `y usar sensores propios definidos con 'funcion', con paréntesis: hayNegroAdelante?()`,
+                `Se pueden combinar con 'no', 'y', 'o' y paréntesis.`,
+                `Ejemplo: si(no estaVacia? y no estaPintadaDeRojo?) { PintarRojo }`
+            ]
         );
     }
     
@@ -722,18 +2075,47 @@ class QdrawParser {
             "Los procedimientos siempre se llaman con paréntesis.\n" +
             `Ejemplo: ${nameToken.value}()`
         );
-        this.expect(
-            TOKEN_TYPES.RPAREN,
-            "Los procedimientos no tienen parámetros, debe ir ')'.\n" +
-            `Ejemplo: ${nameToken.value}()`
-        );
         
         return {
             type: 'ProcedureCall',
             name: nameToken.value,
-            line: nameToken.line
+            args: this.parseCallArguments(nameToken),
+            line: nameToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
         };
     }
+    
+    // Parsear llamada a función (en una condición o en una expresión)
+    parseFunctionCall() {
+        const nameToken = this.advance();
+        this.advance(); // (
+        
+        return {
+            type: 'FunctionCall',
+            name: nameToken.value,
+            args: this.parseCallArguments(nameToken),
+            line: nameToken.line,
+            range: this.rangeOf(nameToken) // Rango del nombre
+        };
+    }
+    
+    // Argumentos de una llamada, después del '(' (hasta el ')' inclusive)
+    parseCallArguments(nameToken) {
+        const args = [];
+        if (!this.check(TOKEN_TYPES.RPAREN)) {
+            do {
+                args.push(this.parseArgument());
+            } while (this.match(TOKEN_TYPES.COMMA));
+        }
+        
+        this.expect(
+            TOKEN_TYPES.RPAREN,
+            "Después de los argumentos debe ir ')'. Separa los argumentos con comas.\n" +
+            `Ejemplo: ${nameToken.value}() o ${nameToken.value}(5, Rojo)`
+        );
+        
+        return args;
+    }
 }
 
 // =====================================================
@@ -741,9 +2123,11 @@ class QdrawParser {
 // =====================================================
 
 class QdrawInterpreter {
-    constructor(width, height) {
+    constructor(width, height, palette = QdrawPalette.DEFAULT, mode = BOARD_MODES.COLORES) {
         this.validateBoardSize(width, height);
         
+        this.palette = palette;
+        this.mode = mode;
         this.width = width;
         this.height = height;
         this.grid = this.createGrid();
@@ -755,10 +2139,10 @@ class QdrawInterpreter {
     
     validateBoardSize(width, height) {
         if (width < QDRAW_CONFIG.MIN_BOARD_SIZE || width > QDRAW_CONFIG.MAX_BOARD_SIZE) {
-            throw new Error(`Ancho inválido: debe estar entre ${QDRAW_CONFIG.MIN_BOARD_SIZE} y ${QDRAW_CONFIG.MAX_BOARD_SIZE}`);
+            throw new QdrawError(`Ancho inválido: debe estar entre ${QDRAW_CONFIG.MIN_BOARD_SIZE} y ${QDRAW_CONFIG.MAX_BOARD_SIZE}`, { code: ERROR_CODES.INVALID_BOARD });
         }
         if (height < QDRAW_CONFIG.MIN_BOARD_SIZE || height > QDRAW_CONFIG.MAX_BOARD_SIZE) {
-            throw new Error(`Alto inválido: debe estar entre ${QDRAW_CONFIG.MIN_BOARD_SIZE} y ${QDRAW_CONFIG.MAX_BOARD_SIZE}`);
+            throw new QdrawError(`Alto inválido: debe estar entre ${QDRAW_CONFIG.MIN_BOARD_SIZE} y ${QDRAW_CONFIG.MAX_BOARD_SIZE}`, { code: ERROR_CODES.INVALID_BOARD });
         }
     }
     
@@ -766,6 +2150,58 @@ class QdrawInterpreter {
         return Array(this.height).fill(null).map(() => Array(this.width).fill(null));
     }
     
+    // Validar una grilla externa (archivos de proyecto, casos de prueba)
+    static validateGrid(grid, width, height, palette = QdrawPalette.DEFAULT, mode = BOARD_MODES.COLORES) {
+        if (!Array.isArray(grid) || grid.length !== height) {
+            throw new QdrawError(`debe tener ${height} filas`, { code: ERROR_CODES.INVALID_BOARD });
+        }
+        grid.forEach((row, y) => {
+            if (!Array.isArray(row) || row.length !== width) {
+                throw new QdrawError(`la fila ${y} debe tener ${width} celdas`, { code: ERROR_CODES.INVALID_BOARD });
+            }
+            row.forEach((cell, x) => {
+                if (mode === BOARD_MODES.BOLITAS) {
+                    QdrawInterpreter.validateBalls(cell, x, y, palette);
+                } else if (cell !== COLORS.EMPTY && !palette.has(cell)) {
+                    throw new QdrawError(`color inválido '${cell}' en (${x}, ${y})`, { code: ERROR_CODES.INVALID_BOARD });
+                }
+            });
+        });
+    }
+    
+    // Celda del modo bolitas: null o { color: cantidad } con cantidades enteras positivas
+    static validateBalls(cell, x, y, palette) {
+        if (cell === null) {
+            return;
+        }
+        if (typeof cell !== 'object' || Array.isArray(cell)) {
+            throw new QdrawError(
+                `celda inválida en (${x}, ${y}): en el modo bolitas cada celda es null o { "rojo": 2, ... }`,
+                { code: ERROR_CODES.INVALID_BOARD }
+            );
+        }
+        for (const [color, count] of Object.entries(cell)) {
+            if (!palette.has(color)) {
+                throw new QdrawError(`color inválido '${color}' en (${x}, ${y})`, { code: ERROR_CODES.INVALID_BOARD });
+            }
+            if (!Number.isInteger(count) || count < 1) {
+                throw new QdrawError(
+                    `cantidad de bolitas inválida (${count}) en (${x}, ${y}): tiene que ser un entero positivo`,
+                    { code: ERROR_CODES.INVALID_BOARD }
+                );
+            }
+        }
+    }
+    
+    // Compara dos celdas de cualquier modo (en el modo bolitas no importa el orden de los colores)
+    static sameCell(a, b) {
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+            return a === b;
+        }
+        const colors = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...colors].every(color => a[color] === b[color]);
+    }
+    
     isValidPosition(x, y) {
         return x >= 0 && x < this.width && y >= 0 && y < this.height;
     }
@@ -777,7 +2213,7 @@ class QdrawInterpreter {
     
     setCellColor(x, y, color) {
         if (!this.isValidPosition(x, y)) {
-            throw new Error(`Posición inválida: (${x}, ${y})`);
+            throw new QdrawError(`Posición inválida: (${x}, ${y})`, { code: ERROR_CODES.INVALID_POSITION });
         }
         this.grid[y][x] = color;
     }
@@ -790,7 +2226,7 @@ class QdrawInterpreter {
     moverArriba() {
         const newY = this.headY + 1;
         if (!this.isValidPosition(this.headX, newY)) {
-            throw new Error(`BOOM: El cabezal se salió del tablero intentando mover arriba desde (${this.headX}, ${this.headY})`);
+            throw new QdrawBoomError(`BOOM: El cabezal se salió del tablero intentando mover arriba desde (${this.headX}, ${this.headY})`);
         }
         this.headY = newY;
     }
@@ -798,7 +2234,7 @@ class QdrawInterpreter {
     moverAbajo() {
         const newY = this.headY - 1;
         if (!this.isValidPosition(this.headX, newY)) {
-            throw new Error(`BOOM: El cabezal se salió del tablero intentando mover abajo desde (${this.headX}, ${this.headY})`);
+            throw new QdrawBoomError(`BOOM: El cabezal se salió del tablero intentando mover abajo desde (${this.headX}, ${this.headY})`);
         }
         this.headY = newY;
     }
@@ -806,7 +2242,7 @@ class QdrawInterpreter {
     moverDerecha() {
         const newX = this.headX + 1;
         if (!this.isValidPosition(newX, this.headY)) {
-            throw new Error(`BOOM: El cabezal se salió del tablero intentando mover derecha desde (${this.headX}, ${this.headY})`);
+            throw new QdrawBoomError(`BOOM: El cabezal se salió del tablero intentando mover derecha desde (${this.headX}, ${this.headY})`);
         }
         this.headX = newX;
     }
@@ -814,25 +2250,96 @@ class QdrawInterpreter {
     moverIzquierda() {
         const newX = this.headX - 1;
         if (!this.isValidPosition(newX, this.headY)) {
-            throw new Error(`BOOM: El cabezal se salió del tablero intentando mover izquierda desde (${this.headX}, ${this.headY})`);
+            throw new QdrawBoomError(`BOOM: El cabezal se salió del tablero intentando mover izquierda desde (${this.headX}, ${this.headY})`);
         }
         this.headX = newX;
     }
     
-    pintarNegro() {
-        this.setCellColor(this.headX, this.headY, COLORS.NEGRO);
+    // En el modo bolitas saca todas las bolitas de la celda
+    limpiar() {
+        this.setCellColor(this.headX, this.headY, COLORS.EMPTY);
+    }
+    
+    // Comandos con argumento (Mover(dirección), Pintar(color)).
+    // PintarRojo, PintarAzul, etc. también usan pintar.
+    mover(direction) {
+        switch (direction) {
+            case DIRECTIONS.ARRIBA:
+                return this.moverArriba();
+            case DIRECTIONS.ABAJO:
+                return this.moverAbajo();
+            case DIRECTIONS.DERECHA:
+                return this.moverDerecha();
+            case DIRECTIONS.IZQUIERDA:
+                return this.moverIzquierda();
+            default:
+                throw new QdrawRuntimeError(`Dirección desconocida: ${direction}`);
+        }
     }
     
-    pintarRojo() {
-        this.setCellColor(this.headX, this.headY, COLORS.ROJO);
+    pintar(color) {
+        this.requireMode(BOARD_MODES.COLORES, `Pintar${QdrawPalette.literalName(color)}`);
+        this.setCellColor(this.headX, this.headY, color);
     }
     
-    pintarVerde() {
-        this.setCellColor(this.headX, this.headY, COLORS.VERDE);
+    poner(color) {
+        this.requireMode(BOARD_MODES.BOLITAS, `Poner(${QdrawPalette.literalName(color)})`);
+        this.addBall(this.headX, this.headY, color);
     }
     
-    limpiar() {
-        this.setCellColor(this.headX, this.headY, COLORS.EMPTY);
+    sacar(color) {
+        this.requireMode(BOARD_MODES.BOLITAS, `Sacar(${QdrawPalette.literalName(color)})`);
+        if (this.cantidadDeBolitas(color) === 0) {
+            throw new QdrawBoomError(
+                `BOOM: No hay bolitas de color ${color} para sacar en (${this.headX}, ${this.headY})`
+            );
+        }
+        this.removeBall(this.headX, this.headY, color);
+    }
+    
+    cantidadDeBolitas(color) {
+        return this.countBalls(this.headX, this.headY, color);
+    }
+    
+    // Bolitas de cualquier celda (también para editar el tablero en la UI).
+    // La celda se reemplaza en lugar de modificarse, así la traza puede
+    // guardar el valor de antes y el de después.
+    countBalls(x, y, color) {
+        const cell = this.getCellColor(x, y);
+        return (cell && cell[color]) || 0;
+    }
+    
+    addBall(x, y, color) {
+        const cell = this.getCellColor(x, y) || {};
+        this.setCellColor(x, y, { ...cell, [color]: (cell[color] || 0) + 1 });
+    }
+    
+    removeBall(x, y, color) {
+        const count = this.countBalls(x, y, color);
+        if (count === 0) {
+            return;
+        }
+        
+        const cell = { ...this.getCellColor(x, y) };
+        if (count === 1) {
+            delete cell[color];
+        } else {
+            cell[color] = count - 1;
+        }
+        this.setCellColor(x, y, Object.keys(cell).length > 0 ? cell : COLORS.EMPTY);
+    }
+    
+    requireMode(mode, command) {
+        if (this.mode === mode) {
+            return;
+        }
+        const hint = mode === BOARD_MODES.BOLITAS
+            ? 'En el modo colores se pinta con PintarRojo, Pintar(color), ...'
+            : 'En el modo bolitas se usa Poner(color) y Sacar(color).';
+        throw new QdrawRuntimeError(`'${command}' solo se puede usar en el modo ${mode}.`, {
+            code: ERROR_CODES.WRONG_BOARD_MODE,
+            hints: [hint]
+        });
     }
     
     // Sensors
@@ -840,16 +2347,48 @@ class QdrawInterpreter {
         return this.getCellColor(this.headX, this.headY) === null;
     }
     
-    estaPintadaDeNegro() {
-        return this.getCellColor(this.headX, this.headY) === COLORS.NEGRO;
+    estaPintadaDe(color) {
+        this.requireMode(BOARD_MODES.COLORES, QdrawPalette.sensorName(color));
+        return this.getCellColor(this.headX, this.headY) === color;
+    }
+    
+    hayBolitasDe(color) {
+        this.requireMode(BOARD_MODES.BOLITAS, QdrawPalette.ballsSensorName(color));
+        return this.cantidadDeBolitas(color) > 0;
+    }
+    
+    // Sensores de borde: si el movimiento no haría BOOM
+    puedeMoverArriba() {
+        return this.isValidPosition(this.headX, this.headY + 1);
+    }
+    
+    puedeMoverAbajo() {
+        return this.isValidPosition(this.headX, this.headY - 1);
+    }
+    
+    puedeMoverDerecha() {
+        return this.isValidPosition(this.headX + 1, this.headY);
+    }
+    
+    puedeMoverIzquierda() {
+        return this.isValidPosition(this.headX - 1, this.headY);
+    }
+    
+    // Consultas numéricas
+    anchoTablero() {
+        return this.width;
+    }
+    
+    altoTablero() {
+        return this.height;
     }
     
-    estaPintadaDeRojo() {
-        return this.getCellColor(this.headX, this.headY) === COLORS.ROJO;
+    posicionX() {
+        return this.headX;
     }
     
-    estaPintadaDeVerde() {
-        return this.getCellColor(this.headX, this.headY) === COLORS.VERDE;
+    posicionY() {
+        return this.headY;
     }
     
     // Teletransportar (para edición en UI)
@@ -885,6 +2424,63 @@ class QdrawInterpreter {
     }
 }
 
+// =====================================================
+// TRAZA DE EJECUCIÓN (HISTORIAL POR DIFERENCIAS)
+// =====================================================
+
+// Cada paso guarda solo lo que cambió (cabezal y celdas), así se puede
+// avanzar y retroceder sobre la ejecución sin copiar el tablero entero.
+class QdrawTrace {
+    constructor(initialState) {
+        this.initialState = initialState; // Estado antes del primer paso (cloneState)
+        this.steps = [];                  // { line, headBefore, headAfter, changes: [{ x, y, before, after }] }
+    }
+    
+    get length() {
+        return this.steps.length;
+    }
+    
+    record(step) {
+        this.steps.push(step);
+    }
+    
+    // Rehacer el paso 'index' sobre el intérprete
+    applyForward(interpreter, index) {
+        const step = this.steps[index];
+        for (const change of step.changes) {
+            interpreter.grid[change.y][change.x] = change.after;
+        }
+        interpreter.headX = step.headAfter.x;
+        interpreter.headY = step.headAfter.y;
+    }
+    
+    // Deshacer el paso 'index' sobre el intérprete
+    applyBackward(interpreter, index) {
+        const step = this.steps[index];
+        for (let i = step.changes.length - 1; i >= 0; i--) {
+            const change = step.changes[i];
+            interpreter.grid[change.y][change.x] = change.before;
+        }
+        interpreter.headX = step.headBefore.x;
+        interpreter.headY = step.headBefore.y;
+    }
+    
+    // Llevar el intérprete de la posición 'from' a 'to' (0 = estado inicial,
+    // n = después de n pasos) aplicando solo las diferencias intermedias
+    seek(interpreter, from, to) {
+        const target = Math.max(0, Math.min(this.steps.length, to));
+        
+        for (let i = from; i < target; i++) {
+            this.applyForward(interpreter, i);
+        }
+        for (let i = from - 1; i >= target; i--) {
+            this.applyBackward(interpreter, i);
+        }
+        
+        return target;
+    }
+}
+
 // =====================================================
 // EJECUTOR (RUNTIME)
 // =====================================================
@@ -895,28 +2491,68 @@ class QdrawExecutor {
         this.ast = ast;
         this.onStep = onStep;
         this.procedures = new Map();
+        this.functions = new Map();
         this.stepCount = 0;
-        this.callStack = [];
+        this.callStack = []; // Marcos de llamada: { name, line, bindings, variables }
+        this.programVariables = new Map(); // Variables del programa (las de cada llamada van en su marco)
+        this.loopStack = []; // Repeticiones activas: { kind, line, iteration, count, depth }
         this.cancelled = false;
+        this.trace = null;   // QdrawTrace opcional donde se graba cada comando
+        
+        // Depuración
+        this.onStatement = null;     // Antes de cada instrucción: (stmt)
+        this.onPause = null;         // Al pausar: (stmt, motivo)
+        this.onResume = null;        // Al continuar
+        this.breakpoints = new Set(); // Líneas con punto de interrupción
+        this.paused = false;
+        this.pauseRequested = false;
+        this.stepMode = null;        // 'into', 'over', 'out' o null
+        this.stepDepth = 0;          // Profundidad de la pila al pedir el paso
+        this.resumeCallback = null;
+        this.currentStatement = null;
+        this.lastLine = null;
         
         // Registrar procedimientos
         for (const proc of ast.procedures) {
             if (this.procedures.has(proc.name)) {
                 const firstDef = this.procedures.get(proc.name);
-                throw new Error(
-                    `Línea ${proc.line}: Procedimiento '${proc.name}' ya fue definido.\n` +
-                    `Primera definición: línea ${firstDef.line}\n` +
-                    `Cada procedimiento debe tener un nombre único.\n` +
-                    `Cambia el nombre de uno de los dos procedimientos.`
-                );
+                throw new QdrawRuntimeError(`Procedimiento '${proc.name}' ya fue definido.`, {
+                    code: ERROR_CODES.DUPLICATE_PROCEDURE,
+                    range: proc.range,
+                    hints: [
+                        `Primera definición: línea ${firstDef.line}`,
+                        `Cada procedimiento debe tener un nombre único.`,
+                        `Cambia el nombre de uno de los dos procedimientos.`
+                    ],
+                    callStack: []
+                });
             }
             this.procedures.set(proc.name, proc);
         }
+        
+        // Registrar funciones
+        for (const fn of ast.functions) {
+            if (this.functions.has(fn.name)) {
+                const firstDef = this.functions.get(fn.name);
+                throw new QdrawRuntimeError(`Función '${fn.name}' ya fue definida.`, {
+                    code: ERROR_CODES.DUPLICATE_FUNCTION,
+                    range: fn.range,
+                    hints: [
+                        `Primera definición: línea ${firstDef.line}`,
+                        `Cada función debe tener un nombre único.`
+                    ],
+                    callStack: []
+                });
+            }
+            this.functions.set(fn.name, fn);
+        }
     }
     
     async execute(speed = 3) {
         this.stepCount = 0;
         this.callStack = [];
+        this.loopStack = [];
+        this.programVariables = new Map();
         
         try {
             await this.executeBlock(this.ast.program.body, this.ast.program.line);
@@ -925,159 +2561,365 @@ class QdrawExecutor {
                 message: `Ejecución completada con éxito (${this.stepCount} pasos)`
             };
         } catch (error) {
+            if (error instanceof QdrawError && error.callStack === null) {
+                error.callStack = [];
+            }
             return {
                 success: false,
-                message: error.message
+                message: error.message,
+                error
             };
         }
     }
     
     async executeBlock(statements, blockLine) {
+        // Entrar a un bloque (o a otra vuelta de un ciclo) es volver a llegar
+        // a sus líneas: sus puntos de interrupción vuelven a pausar
+        this.lastLine = null;
+        
         for (const stmt of statements) {
             // Check if execution was cancelled
             if (this.cancelled) {
-                throw new Error('Ejecución detenida por el usuario');
+                throw new QdrawCancelledError();
             }
             
+            await this.beforeStatement(stmt);
             await this.executeStatement(stmt);
             
-            // Check step limit
-            if (this.stepCount > QDRAW_CONFIG.MAX_EXECUTION_STEPS) {
-                throw new Error(
-                    `Límite de ejecución excedido (${QDRAW_CONFIG.MAX_EXECUTION_STEPS} pasos).\n` +
-                    `Posible bucle infinito o programa muy largo.\n` +
-                    `Verifica tus ciclos 'repetir' y llamadas recursivas.`
-                );
-            }
+            this.checkStepLimit();
         }
     }
     
-    async executeStatement(stmt) {
-        this.stepCount++;
-        
-        switch (stmt.type) {
-            case 'Command':
-                await this.executeCommand(stmt);
-                break;
-            case 'ProcedureCall':
-                await this.executeProcedureCall(stmt);
-                break;
-            case 'Repetir':
-                await this.executeRepetir(stmt);
-                break;
-            case 'Si':
-                await this.executeSi(stmt);
-                break;
-            default:
-                throw new Error(`Línea ${stmt.line}: Tipo de instrucción desconocida '${stmt.type}'`);
+    checkStepLimit() {
+        if (this.stepCount > QDRAW_CONFIG.MAX_EXECUTION_STEPS) {
+            throw new QdrawLimitError(`Límite de ejecución excedido (${QDRAW_CONFIG.MAX_EXECUTION_STEPS} pasos).`, {
+                code: ERROR_CODES.STEP_LIMIT,
+                hints: [
+                    `Posible bucle infinito o programa muy largo.`,
+                    `Verifica tus ciclos 'repetir', 'mientras' y llamadas recursivas.`
+                ]
+            });
         }
     }
     
-    async executeCommand(stmt) {
+    async executeStatement(stmt) {
+        this.stepCount++;
+        
         try {
-            switch (stmt.command) {
-                case 'MoverArriba':
-                    this.interpreter.moverArriba();
-                    break;
-                case 'MoverAbajo':
-                    this.interpreter.moverAbajo();
-                    break;
-                case 'MoverDerecha':
-                    this.interpreter.moverDerecha();
+            switch (stmt.type) {
+                case 'Command':
+                    await this.executeCommand(stmt);
                     break;
-                case 'MoverIzquierda':
-                    this.interpreter.moverIzquierda();
+                case 'ProcedureCall':
+                    await this.executeProcedureCall(stmt);
                     break;
-                case 'PintarNegro':
-                    this.interpreter.pintarNegro();
+                case 'Repetir':
+                    await this.executeRepetir(stmt);
                     break;
-                case 'PintarRojo':
-                    this.interpreter.pintarRojo();
+                case 'Si':
+                    await this.executeSi(stmt);
                     break;
-                case 'PintarVerde':
-                    this.interpreter.pintarVerde();
+                case 'Mientras':
+                    await this.executeMientras(stmt);
                     break;
-                case 'Limpiar':
-                    this.interpreter.limpiar();
+                case 'VariableDeclaration':
+                case 'Assignment':
+                    await this.executeAssignment(stmt);
                     break;
                 default:
-                    throw new Error(`Comando desconocido: ${stmt.command}`);
+                    throw new QdrawRuntimeError(`Tipo de instrucción desconocida '${stmt.type}'`);
             }
-            
-            if (this.onStep) {
-                this.onStep();
-            }
-            
-            await this.delay();
-            
         } catch (error) {
-            // Add line number to BOOM errors
-            if (error.message.includes('BOOM')) {
-                throw new Error(`Línea ${stmt.line}: ${error.message}`);
-            }
-            throw new Error(`Línea ${stmt.line}: ${error.message}`);
+            throw this.locateError(error, stmt);
         }
     }
     
+    // Completar un error con la ubicación de la instrucción y la pila de llamadas.
+    // Solo lo hace la instrucción más interna (la primera que lo atrapa);
+    // los errores que ya traen su propio rango (un argumento, un sensor) lo conservan.
+    locateError(error, stmt) {
+        if (!(error instanceof QdrawError) || error instanceof QdrawCancelledError) {
+            return error;
+        }
+        if (error.line === null) {
+            error.setRange(stmt.range);
+        }
+        if (error.callStack === null) {
+            error.callStack = this.getCallStackSnapshot();
+        }
+        return error;
+    }
+    
+    // Copia de la pila de llamadas: [{ name, line }] desde la más externa
+    getCallStackSnapshot() {
+        return this.callStack.map(frame => ({ name: frame.name, line: frame.line }));
+    }
+    
+    async executeCommand(stmt) {
+        // Evaluar el argumento (Mover, Pintar, Poner, Sacar) antes de ejecutar
+        let argument = null;
+        if (stmt.command === 'Mover') {
+            argument = await this.evaluateArgument(stmt.argument, VALUE_TYPES.DIRECTION, `'Mover'`);
+        } else if (stmt.command === 'Pintar' || stmt.command === 'Poner' || stmt.command === 'Sacar') {
+            argument = await this.evaluateArgument(stmt.argument, VALUE_TYPES.COLOR, `'${stmt.command}'`);
+        }
+        
+        const headX = this.interpreter.headX;
+        const headY = this.interpreter.headY;
+        const cellBefore = this.interpreter.getCellColor(headX, headY);
+        
+        switch (stmt.command) {
+            case 'MoverArriba':
+                this.interpreter.moverArriba();
+                break;
+            case 'MoverAbajo':
+                this.interpreter.moverAbajo();
+                break;
+            case 'MoverDerecha':
+                this.interpreter.moverDerecha();
+                break;
+            case 'MoverIzquierda':
+                this.interpreter.moverIzquierda();
+                break;
+            case 'Limpiar':
+                this.interpreter.limpiar();
+                break;
+            case 'Mover':
+                this.interpreter.mover(argument);
+                break;
+            case 'Pintar':
+                this.interpreter.pintar(argument);
+                break;
+            case 'Poner':
+                this.interpreter.poner(argument);
+                break;
+            case 'Sacar':
+                this.interpreter.sacar(argument);
+                break;
+            default:
+                // PintarRojo, PintarAzul, ...: uno por cada color de la paleta
+                if (!stmt.color) {
+                    throw new QdrawRuntimeError(`Comando desconocido: ${stmt.command}`);
+                }
+                this.interpreter.pintar(stmt.color);
+        }
+        
+        if (this.trace) {
+            this.recordTraceStep(stmt, headX, headY, cellBefore);
+        }
+        
+        if (this.onStep) {
+            this.onStep();
+        }
+        
+        await this.delay();
+    }
+    
     async executeProcedureCall(stmt) {
         const proc = this.procedures.get(stmt.name);
         
+        if (!proc && this.functions.has(stmt.name)) {
+            throw new QdrawRuntimeError(`'${stmt.name}' es una función, no un procedimiento.`, {
+                code: ERROR_CODES.UNDEFINED_PROCEDURE,
+                hints: [
+                    `Las funciones calculan un valor y no cambian el tablero: se usan en una condición o una expresión.`,
+                    stmt.name.endsWith('?') ? `Ejemplo: si(${stmt.name}()) { ... }` : `Ejemplo: repetir ${stmt.name}() veces { ... }`
+                ]
+            });
+        }
+        
         if (!proc) {
             const available = Array.from(this.procedures.keys());
             const suggestions = available.length > 0 
-                ? `\nProcedimientos disponibles: ${available.join(', ')}`
-                : '\nNo hay procedimientos definidos.';
+                ? `Procedimientos disponibles: ${available.join(', ')}`
+                : 'No hay procedimientos definidos.';
             
-            throw new Error(
-                `Línea ${stmt.line}: Procedimiento '${stmt.name}' no existe.${suggestions}\n` +
-                `Asegúrate de:\n` +
-                `  1. Definir el procedimiento antes de usarlo\n` +
-                `  2. Escribir el nombre exactamente igual (mayúsculas/minúsculas importan)\n` +
-                `  3. Llamarlo con paréntesis: ${stmt.name}()`
-            );
+            throw new QdrawRuntimeError(`Procedimiento '${stmt.name}' no existe.`, {
+                code: ERROR_CODES.UNDEFINED_PROCEDURE,
+                hints: [
+                    suggestions,
+                    `Asegúrate de:`,
+                    `  1. Definir el procedimiento antes de usarlo`,
+                    `  2. Escribir el nombre exactamente igual (mayúsculas/minúsculas importan)`,
+                    `  3. Llamarlo con paréntesis: ${stmt.name}()`
+                ]
+            });
         }
         
-        // Verificar profundidad de recursión
+        const bindings = await this.bindArguments(stmt, proc);
+        this.callStack.push({ name: stmt.name, line: stmt.line, bindings, variables: new Map() });
+        
+        try {
+            await this.executeBlock(proc.body, proc.line);
+        } finally {
+            this.callStack.pop();
+        }
+    }
+    
+    // Verificar la recursión y la cantidad de argumentos de una llamada a un
+    // procedimiento o función, y evaluar los argumentos en el marco actual
+    async bindArguments(call, definition) {
         if (this.callStack.length >= QDRAW_CONFIG.MAX_RECURSION_DEPTH) {
-            throw new Error(
-                `Línea ${stmt.line}: Profundidad de recursión excedida en '${stmt.name}'.\n` +
-                `Has llamado procedimientos anidados demasiadas veces (límite: ${QDRAW_CONFIG.MAX_RECURSION_DEPTH}).\n` +
-                `Pila de llamadas: ${this.callStack.join(' → ')} → ${stmt.name}`
+            throw new QdrawLimitError(`Profundidad de recursión excedida en '${call.name}'.`, {
+                code: ERROR_CODES.RECURSION_LIMIT,
+                range: call.range,
+                hints: [
+                    `Has llamado procedimientos anidados demasiadas veces (límite: ${QDRAW_CONFIG.MAX_RECURSION_DEPTH}).`,
+                    `Pila de llamadas: ${this.callStack.map(frame => frame.name).join(' → ')} → ${call.name}`
+                ]
+            });
+        }
+        
+        const args = call.args || [];
+        if (args.length !== definition.params.length) {
+            const expected = definition.params.length === 0
+                ? 'no recibe argumentos'
+                : `recibe ${definition.params.length} (${definition.params.map(param => param.name).join(', ')})`;
+            throw new QdrawRuntimeError(
+                `'${call.name}' fue llamado con ${args.length} argumento(s), pero ${expected}.`,
+                { code: ERROR_CODES.ARITY_MISMATCH, range: call.range, hints: [`Definición: línea ${definition.line}`] }
             );
         }
         
-        this.callStack.push(stmt.name);
+        const bindings = new Map();
+        for (let i = 0; i < definition.params.length; i++) {
+            bindings.set(definition.params[i].name, await this.evaluateExpression(args[i]));
+        }
+        return bindings;
+    }
+    
+    // Llamar a una función: ejecuta su cuerpo, calcula el valor que devuelve
+    // (un booleano si es un sensor, { type, value } si no) y vuelve el tablero
+    // y el cabezal a como estaban antes de la llamada
+    async callFunction(call) {
+        const fn = this.functions.get(call.name);
+        
+        if (!fn) {
+            const available = Array.from(this.functions.keys());
+            throw new QdrawRuntimeError(`Función '${call.name}' no existe.`, {
+                code: ERROR_CODES.UNDEFINED_FUNCTION,
+                range: call.range,
+                hints: [
+                    available.length > 0 ? `Funciones disponibles: ${available.join(', ')}` : 'No hay funciones definidas.',
+                    `Se definen con: funcion ${call.name}() { ... devolver ... }`
+                ]
+            });
+        }
+        
+        const bindings = await this.bindArguments(call, fn);
+        const saved = this.interpreter.cloneState();
+        this.callStack.push({ name: call.name, line: call.line, bindings, variables: new Map() });
         
+        let result;
         try {
-            await this.executeBlock(proc.body, proc.line);
+            await this.executeBlock(fn.body, fn.line);
+            result = fn.sensor
+                ? await this.evaluateCondition(fn.result)
+                : await this.evaluateExpression(fn.result);
+        } catch (error) {
+            // Un error al calcular el valor se ubica en el 'devolver', con la función en la pila
+            throw this.locateError(error, fn.result);
         } finally {
             this.callStack.pop();
         }
+        
+        // Solo se vuelve atrás sin errores: con un BOOM el tablero queda como estaba en ese momento
+        this.restoreAfterFunction(saved, call.line);
+        return result;
     }
     
-    async executeRepetir(stmt) {
-        if (stmt.count < 0) {
-            throw new Error(
-                `Línea ${stmt.line}: El número de repeticiones no puede ser negativo (${stmt.count}).\n` +
-                `Usa un número positivo: repetir 10 veces { ... }`
+    // Volver al estado guardado antes de una función. La traza lo graba como
+    // un paso más, así la repetición pasa por los mismos estados.
+    restoreAfterFunction(saved, line) {
+        const interpreter = this.interpreter;
+        
+        if (this.trace) {
+            const changes = [];
+            for (let y = 0; y < interpreter.height; y++) {
+                for (let x = 0; x < interpreter.width; x++) {
+                    if (!QdrawInterpreter.sameCell(interpreter.grid[y][x], saved.grid[y][x])) {
+                        changes.push({ x, y, before: interpreter.grid[y][x], after: saved.grid[y][x] });
+                    }
+                }
+            }
+            
+            const moved = interpreter.headX !== saved.headX || interpreter.headY !== saved.headY;
+            if (changes.length > 0 || moved) {
+                this.trace.record({
+                    line,
+                    headBefore: { x: interpreter.headX, y: interpreter.headY },
+                    headAfter: { x: saved.headX, y: saved.headY },
+                    changes
+                });
+            }
+        }
+        
+        interpreter.restoreState(saved);
+        
+        if (this.onStep) {
+            this.onStep();
+        }
+    }
+    
+    // Variables del marco actual: las de la llamada en curso o las del programa
+    currentVariables() {
+        const frame = this.callStack[this.callStack.length - 1];
+        return frame ? frame.variables : this.programVariables;
+    }
+    
+    // Declarar una variable o cambiar su valor. Una variable no cambia de tipo.
+    async executeAssignment(stmt) {
+        const value = await this.evaluateExpression(stmt.value);
+        const variables = this.currentVariables();
+        const previous = variables.get(stmt.name);
+        
+        if (stmt.type === 'Assignment' && previous && previous.type !== value.type) {
+            throw new QdrawRuntimeError(
+                `La variable '${stmt.name}' es de tipo ${previous.type}, pero se le quiere asignar ` +
+                `un valor de tipo ${value.type} (${value.value}).`,
+                { code: ERROR_CODES.TYPE_MISMATCH, range: stmt.value.range }
             );
         }
         
-        if (stmt.count > 10000) {
-            throw new Error(
-                `Línea ${stmt.line}: Demasiadas repeticiones (${stmt.count}).\n` +
-                `El límite es 10000 para evitar bloqueos.\n` +
-                `Si necesitas más iteraciones, verifica tu lógica.`
+        variables.set(stmt.name, value);
+    }
+    
+    async executeRepetir(stmt) {
+        const count = await this.evaluateArgument(stmt.count, VALUE_TYPES.NUMBER, `'repetir'`);
+        
+        if (count < 0) {
+            throw new QdrawRuntimeError(
+                `El número de repeticiones no puede ser negativo (${count}).`,
+                { code: ERROR_CODES.INVALID_REPETITIONS, hints: [`Usa un número positivo: repetir 10 veces { ... }`] }
             );
         }
         
-        for (let i = 0; i < stmt.count; i++) {
-            await this.executeBlock(stmt.body, stmt.line);
+        if (count > 10000) {
+            throw new QdrawLimitError(`Demasiadas repeticiones (${count}).`, {
+                code: ERROR_CODES.REPETITION_LIMIT,
+                hints: [
+                    `El límite es 10000 para evitar bloqueos.`,
+                    `Si necesitas más iteraciones, verifica tu lógica.`
+                ]
+            });
+        }
+        
+        const loop = { kind: 'repetir', line: stmt.line, iteration: 0, count, depth: this.callStack.length };
+        this.loopStack.push(loop);
+        
+        try {
+            for (let i = 0; i < count; i++) {
+                loop.iteration = i + 1;
+                await this.executeBlock(stmt.body, stmt.line);
+                await this.afterIteration();
+            }
+        } finally {
+            this.loopStack.pop();
         }
     }
     
     async executeSi(stmt) {
-        const conditionResult = this.evaluateCondition(stmt.condition);
+        const conditionResult = await this.evaluateCondition(stmt.condition);
         
         if (conditionResult) {
             await this.executeBlock(stmt.thenBody, stmt.line);
@@ -1086,37 +2928,278 @@ class QdrawExecutor {
         }
     }
     
-    evaluateCondition(condition) {
+    async executeMientras(stmt) {
+        const loop = { kind: 'mientras', line: stmt.line, iteration: 0, count: null, depth: this.callStack.length };
+        this.loopStack.push(loop);
+        
+        try {
+            while (await this.evaluateCondition(stmt.condition)) {
+                loop.iteration++;
+                await this.executeBlock(stmt.body, stmt.line);
+                await this.afterIteration();
+            }
+        } finally {
+            this.loopStack.pop();
+        }
+    }
+    
+    // Al final de cada vuelta de un 'repetir' o 'mientras'. Cada vuelta cuenta
+    // como paso: un cuerpo vacío también debe respetar el límite y poder detenerse
+    async afterIteration() {
+        this.stepCount++;
+        this.checkStepLimit();
+        
+        if (this.cancelled) {
+            throw new QdrawCancelledError();
+        }
+    }
+    
+    async evaluateCondition(condition) {
+        switch (condition.type) {
+            case 'Not':
+                return !(await this.evaluateCondition(condition.operand));
+            case 'And':
+                return await this.evaluateCondition(condition.left) && await this.evaluateCondition(condition.right);
+            case 'Or':
+                return await this.evaluateCondition(condition.left) || await this.evaluateCondition(condition.right);
+            case 'Sensor':
+                return this.evaluateSensor(condition);
+            case 'Comparison':
+                return await this.evaluateComparison(condition);
+            case 'FunctionCall':
+                return await this.callFunction(condition);
+            default:
+                throw new QdrawRuntimeError(`Condición desconocida '${condition.type}'`, { range: condition.range });
+        }
+    }
+    
+    // == y != comparan valores del mismo tipo; <, <=, > y >= solo números
+    async evaluateComparison(condition) {
+        const { operator } = condition;
+        
+        if (operator === '==' || operator === '!=') {
+            const left = await this.evaluateExpression(condition.left);
+            const right = await this.evaluateExpression(condition.right);
+            if (left.type !== right.type) {
+                throw new QdrawRuntimeError(
+                    `No se puede comparar un valor de tipo ${left.type} (${left.value}) ` +
+                    `con uno de tipo ${right.type} (${right.value}).`,
+                    { code: ERROR_CODES.TYPE_MISMATCH, range: condition.range }
+                );
+            }
+            return (left.value === right.value) === (operator === '==');
+        }
+        
+        const left = await this.evaluateArgument(condition.left, VALUE_TYPES.NUMBER, `'${operator}'`);
+        const right = await this.evaluateArgument(condition.right, VALUE_TYPES.NUMBER, `'${operator}'`);
+        
+        switch (operator) {
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            case '>=':
+                return left >= right;
+            default:
+                throw new QdrawRuntimeError(`Comparación desconocida '${operator}'`, { range: condition.range });
+        }
+    }
+    
+    evaluateSensor(condition) {
         switch (condition.sensor) {
             case 'estaVacia?':
                 return this.interpreter.estaVacia();
-            case 'estaPintadaDeNegro?':
-                return this.interpreter.estaPintadaDeNegro();
-            case 'estaPintadaDeRojo?':
-                return this.interpreter.estaPintadaDeRojo();
-            case 'estaPintadaDeVerde?':
-                return this.interpreter.estaPintadaDeVerde();
+            case 'puedeMoverArriba?':
+                return this.interpreter.puedeMoverArriba();
+            case 'puedeMoverAbajo?':
+                return this.interpreter.puedeMoverAbajo();
+            case 'puedeMoverDerecha?':
+                return this.interpreter.puedeMoverDerecha();
+            case 'puedeMoverIzquierda?':
+                return this.interpreter.puedeMoverIzquierda();
             default:
-                throw new Error(`Línea ${condition.line}: Sensor desconocido '${condition.sensor}'`);
+                // estaPintadaDeRojo?, hayBolitasDeRojo?, ...: uno por cada color de la paleta
+                if (condition.balls) {
+                    return this.interpreter.hayBolitasDe(condition.color);
+                }
+                if (condition.color) {
+                    return this.interpreter.estaPintadaDe(condition.color);
+                }
+                throw new QdrawRuntimeError(`Sensor desconocido '${condition.sensor}'`, { range: condition.range });
         }
     }
     
-    delay() {
+    // Grabar en la traza lo que cambió un comando (solo toca la celda del cabezal)
+    recordTraceStep(stmt, headX, headY, cellBefore) {
+        const cellAfter = this.interpreter.getCellColor(headX, headY);
+        
+        this.trace.record({
+            line: stmt.line,
+            headBefore: { x: headX, y: headY },
+            headAfter: { x: this.interpreter.headX, y: this.interpreter.headY },
+            changes: cellBefore === cellAfter
+                ? []
+                : [{ x: headX, y: headY, before: cellBefore, after: cellAfter }]
+        });
+    }
+    
+    // Contextos activos, del más externo al más interno: el programa,
+    // cada llamada a procedimiento y cada 'repetir' en curso
+    getActivations() {
+        const valuesOf = (map) => Array.from(map, ([name, value]) => ({ name, value: value.value }));
+        const activations = [{
+            type: 'program',
+            name: 'programa',
+            line: this.ast.program.line,
+            variables: valuesOf(this.programVariables)
+        }];
+        
+        const loopsAt = (depth) => this.loopStack
+            .filter(loop => loop.depth === depth)
+            .map(loop => ({
+                type: 'loop',
+                kind: loop.kind,
+                line: loop.line,
+                iteration: loop.iteration,
+                count: loop.count
+            }));
+        
+        activations.push(...loopsAt(0));
+        
+        this.callStack.forEach((frame, i) => {
+            activations.push({
+                type: 'call',
+                name: frame.name,
+                line: frame.line,
+                args: valuesOf(frame.bindings),
+                variables: valuesOf(frame.variables)
+            });
+            activations.push(...loopsAt(i + 1));
+        });
+        
+        return activations;
+    }
+    
+    // Evaluar un argumento: devuelve { type, value }
+    async evaluateExpression(expr) {
+        switch (expr.type) {
+            case 'Number':
+                return { type: VALUE_TYPES.NUMBER, value: expr.value };
+            case 'Direction':
+                return { type: VALUE_TYPES.DIRECTION, value: expr.value };
+            case 'Color':
+                return { type: VALUE_TYPES.COLOR, value: expr.value };
+            case 'Parameter': {
+                const frame = this.callStack[this.callStack.length - 1];
+                if (!frame || !frame.bindings.has(expr.name)) {
+                    throw new QdrawRuntimeError(`El parámetro '${expr.name}' no está definido`, { range: expr.range });
+                }
+                return frame.bindings.get(expr.name);
+            }
+            case 'Variable': {
+                const variables = this.currentVariables();
+                if (!variables.has(expr.name)) {
+                    throw new QdrawRuntimeError(`La variable '${expr.name}' no está definida`, { range: expr.range });
+                }
+                return variables.get(expr.name);
+            }
+            case 'Query':
+                return { type: VALUE_TYPES.NUMBER, value: this.evaluateQuery(expr) };
+            case 'FunctionCall':
+                return await this.callFunction(expr);
+            case 'BinaryOp':
+                return { type: VALUE_TYPES.NUMBER, value: await this.evaluateOperation(expr) };
+            default:
+                throw new QdrawRuntimeError(`Tipo de valor desconocido '${expr.type}'`, { range: expr.range });
+        }
+    }
+    
+    evaluateQuery(expr) {
+        switch (expr.name) {
+            case 'anchoTablero':
+                return this.interpreter.anchoTablero();
+            case 'altoTablero':
+                return this.interpreter.altoTablero();
+            case 'posicionX':
+                return this.interpreter.posicionX();
+            case 'posicionY':
+                return this.interpreter.posicionY();
+            default:
+                throw new QdrawRuntimeError(`Consulta desconocida '${expr.name}'`, { range: expr.range });
+        }
+    }
+    
+    // Operaciones enteras: div y mod redondean hacia abajo (7 div 2 = 3, -7 mod 2 = 1)
+    async evaluateOperation(expr) {
+        const context = `'${expr.operator}'`;
+        const left = await this.evaluateArgument(expr.left, VALUE_TYPES.NUMBER, context);
+        const right = await this.evaluateArgument(expr.right, VALUE_TYPES.NUMBER, context);
+        
+        if ((expr.operator === 'div' || expr.operator === 'mod') && right === 0) {
+            throw new QdrawRuntimeError(`No se puede hacer '${expr.operator}' por cero.`, {
+                code: ERROR_CODES.DIVISION_BY_ZERO,
+                range: expr.range
+            });
+        }
+        
+        switch (expr.operator) {
+            case '+':
+                return left + right;
+            case '-':
+                return left - right;
+            case '*':
+                return left * right;
+            case 'div':
+                return Math.floor(left / right);
+            case 'mod':
+                return left - right * Math.floor(left / right);
+            default:
+                throw new QdrawRuntimeError(`Operador desconocido '${expr.operator}'`, { range: expr.range });
+        }
+    }
+    
+    // Evaluar un argumento verificando su tipo
+    async evaluateArgument(expr, expectedType, context) {
+        const result = await this.evaluateExpression(expr);
+        
+        if (result.type !== expectedType) {
+            const source = {
+                Parameter: `el parámetro '${expr.name}'`,
+                Variable: `la variable '${expr.name}'`,
+                FunctionCall: `la función '${expr.name}'`,
+                Query: `'${expr.name}'`,
+                BinaryOp: 'la expresión'
+            }[expr.type] || `'${expr.value}'`;
+            throw new QdrawRuntimeError(
+                `${context} espera un valor de tipo ${expectedType}, ` +
+                `pero ${source} es de tipo ${result.type} (${result.value}).`,
+                { code: ERROR_CODES.TYPE_MISMATCH, range: expr.range }
+            );
+        }
+        
+        return result.value;
+    }
+    
+    // Demora entre pasos según la velocidad elegida (0 = instantáneo)
+    static getDelay(speed) {
         const delays = QDRAW_CONFIG.ANIMATION_DELAYS;
-        const speed = this.interpreter.speed || 3;
-        
-        let ms;
-        if (speed === 0 || speed === '0') {
-            ms = delays.INSTANT;
-        } else if (speed === 1 || speed === '1') {
-            ms = delays.SLOW;
-        } else if (speed === 3 || speed === '3') {
-            ms = delays.NORMAL;
-        } else if (speed === 7 || speed === '7') {
-            ms = delays.FAST;
-        } else {
-            ms = delays.NORMAL;
+        
+        switch (String(speed)) {
+            case '0':
+                return delays.INSTANT;
+            case '1':
+                return delays.SLOW;
+            case '7':
+                return delays.FAST;
+            default:
+                return delays.NORMAL;
         }
+    }
+    
+    delay() {
+        const ms = QdrawExecutor.getDelay(this.interpreter.speed);
         
         if (ms === 0) return Promise.resolve();
         
@@ -1125,6 +3208,116 @@ class QdrawExecutor {
     
     cancel() {
         this.cancelled = true;
+        
+        // Liberar una pausa pendiente para que la ejecución termine
+        this.continueExecution(null);
+    }
+    
+    // =====================================================
+    // DEPURACIÓN
+    // =====================================================
+    
+    // Punto de control antes de cada instrucción: notifica y pausa si corresponde
+    async beforeStatement(stmt) {
+        this.currentStatement = stmt;
+        
+        if (this.onStatement) {
+            this.onStatement(stmt);
+        }
+        
+        const reason = this.getPauseReason(stmt);
+        this.lastLine = stmt.line;
+        
+        if (!reason) return;
+        
+        this.paused = true;
+        this.pauseRequested = false;
+        this.stepMode = null;
+        
+        if (this.onPause) {
+            this.onPause(stmt, reason);
+        }
+        
+        await new Promise(resolve => {
+            this.resumeCallback = resolve;
+        });
+        
+        if (this.cancelled) {
+            throw new QdrawCancelledError();
+        }
+    }
+    
+    // Motivo para pausar antes de esta instrucción (o null para seguir)
+    getPauseReason(stmt) {
+        if (this.pauseRequested) {
+            return 'pause';
+        }
+        
+        const depth = this.callStack.length;
+        switch (this.stepMode) {
+            case 'into':
+                return 'step';
+            case 'over':
+                if (depth <= this.stepDepth) return 'step';
+                break;
+            case 'out':
+                if (depth < this.stepDepth) return 'step';
+                break;
+        }
+        
+        // Un punto de interrupción pausa una vez al llegar a la línea,
+        // no en cada instrucción de esa misma línea
+        if (this.breakpoints.has(stmt.line) && this.lastLine !== stmt.line) {
+            return 'breakpoint';
+        }
+        
+        return null;
+    }
+    
+    setBreakpoints(lines) {
+        this.breakpoints = new Set(lines);
+    }
+    
+    // Pausar antes de la próxima instrucción
+    pause() {
+        if (!this.paused) {
+            this.pauseRequested = true;
+        }
+    }
+    
+    resume() {
+        this.continueExecution(null);
+    }
+    
+    // Ejecutar la próxima instrucción, entrando en los procedimientos
+    stepInto() {
+        this.continueExecution('into');
+    }
+    
+    // Ejecutar la próxima instrucción sin entrar en los procedimientos
+    stepOver() {
+        this.continueExecution('over');
+    }
+    
+    // Seguir hasta salir del procedimiento actual
+    stepOut() {
+        this.continueExecution('out');
+    }
+    
+    continueExecution(stepMode) {
+        if (!this.paused) return;
+        
+        this.paused = false;
+        this.stepMode = stepMode;
+        this.stepDepth = this.callStack.length;
+        
+        if (this.onResume) {
+            this.onResume();
+        }
+        
+        const resolve = this.resumeCallback;
+        this.resumeCallback = null;
+        resolve();
     }
 }
 
@@ -1138,8 +3331,22 @@ if (typeof module !== 'undefined' && module.exports) {
         QdrawParser,
         QdrawInterpreter,
         QdrawExecutor,
+        QdrawTrace,
+        QdrawError,
+        QdrawLexicalError,
+        QdrawSyntaxError,
+        QdrawRuntimeError,
+        QdrawBoomError,
+        QdrawLimitError,
+        QdrawCancelledError,
+        ERROR_CODES,
         QDRAW_CONFIG,
         TOKEN_TYPES,
-        COLORS
+        COLORS,
+        BOARD_MODES,
+        DEFAULT_PALETTE,
+        QdrawPalette,
+        DIRECTIONS,
+        VALUE_TYPES
     };
 }
@@ -0,0 +1,314 @@
+// =====================================================
+// QDRAW LANGUAGE - SERVICIOS DEL LENGUAJE PARA EL EDITOR
+// =====================================================
+// Documentación de los comandos, sensores y palabras clave,
+// autocompletado, ayuda de parámetros y búsqueda de
+// definiciones y referencias de procedimientos a partir del AST.
+// No depende de Monaco: app.js adapta estos resultados a los
+// proveedores del editor.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js y diagnostics.js
+// como globales; en Node se cargan con require.
+const LanguageCore = (typeof module !== 'undefined' && module.exports)
+    ? { ...require('./interpreter.js'), ...require('./diagnostics.js') }
+    : { QdrawTokenizer, QdrawDiagnostics, QdrawPalette, TOKEN_TYPES };
+
+// Elementos predefinidos del lenguaje: comandos, sensores, palabras clave y valores.
+// Los comandos, sensores y valores de cada color los agrega getBuiltins según la paleta.
+const QDRAW_BUILTINS = [
+    // Comandos
+    { name: 'MoverArriba', kind: 'command', signature: 'MoverArriba',
+        documentation: 'Mueve el cabezal una celda hacia arriba. Hace BOOM si se sale del tablero.' },
+    { name: 'MoverAbajo', kind: 'command', signature: 'MoverAbajo',
+        documentation: 'Mueve el cabezal una celda hacia abajo. Hace BOOM si se sale del tablero.' },
+    { name: 'MoverDerecha', kind: 'command', signature: 'MoverDerecha',
+        documentation: 'Mueve el cabezal una celda hacia la derecha. Hace BOOM si se sale del tablero.' },
+    { name: 'MoverIzquierda', kind: 'command', signature: 'MoverIzquierda',
+        documentation: 'Mueve el cabezal una celda hacia la izquierda. Hace BOOM si se sale del tablero.' },
+    { name: 'Mover', kind: 'command', signature: 'Mover(dirección)', params: ['dirección'],
+        insertText: 'Mover(${1|Arriba,Abajo,Derecha,Izquierda|})',
+        documentation: 'Mueve el cabezal una celda en la dirección indicada (Arriba, Abajo, Derecha, Izquierda o un parámetro).' },
+    { name: 'Pintar', kind: 'command', signature: 'Pintar(color)', params: ['color'],
+        documentation: 'Pinta la celda donde está el cabezal con el color indicado (Rojo, Verde, Azul, ... o un parámetro).' },
+    { name: 'Limpiar', kind: 'command', signature: 'Limpiar',
+        documentation: 'Deja vacía la celda donde está el cabezal. En el modo bolitas saca todas sus bolitas.' },
+    { name: 'Poner', kind: 'command', signature: 'Poner(color)', params: ['color'],
+        documentation: 'Modo bolitas: pone una bolita del color indicado en la celda donde está el cabezal.' },
+    { name: 'Sacar', kind: 'command', signature: 'Sacar(color)', params: ['color'],
+        documentation: 'Modo bolitas: saca una bolita del color indicado. Hace BOOM si no hay ninguna.' },
+
+    // Sensores
+    { name: 'estaVacia?', kind: 'sensor', signature: 'estaVacia?',
+        documentation: 'Verdadero si la celda donde está el cabezal no está pintada (o no tiene bolitas).' },
+    { name: 'puedeMoverArriba?', kind: 'sensor', signature: 'puedeMoverArriba?',
+        documentation: 'Verdadero si el cabezal puede moverse hacia arriba sin salirse del tablero.' },
+    { name: 'puedeMoverAbajo?', kind: 'sensor', signature: 'puedeMoverAbajo?',
+        documentation: 'Verdadero si el cabezal puede moverse hacia abajo sin salirse del tablero.' },
+    { name: 'puedeMoverDerecha?', kind: 'sensor', signature: 'puedeMoverDerecha?',
+        documentation: 'Verdadero si el cabezal puede moverse hacia la derecha sin salirse del tablero.' },
+    { name: 'puedeMoverIzquierda?', kind: 'sensor', signature: 'puedeMoverIzquierda?',
+        documentation: 'Verdadero si el cabezal puede moverse hacia la izquierda sin salirse del tablero.' },
+
+    // Consultas numéricas
+    { name: 'anchoTablero', kind: 'query', signature: 'anchoTablero',
+        documentation: 'Cantidad de columnas del tablero.' },
+    { name: 'altoTablero', kind: 'query', signature: 'altoTablero',
+        documentation: 'Cantidad de filas del tablero.' },
+    { name: 'posicionX', kind: 'query', signature: 'posicionX',
+        documentation: 'Columna donde está el cabezal, contando desde 0 a la izquierda.' },
+    { name: 'posicionY', kind: 'query', signature: 'posicionY',
+        documentation: 'Fila donde está el cabezal, contando desde 0 abajo.' },
+
+    // Palabras clave
+    { name: 'programa', kind: 'keyword', signature: 'programa { ... }',
+        documentation: 'Bloque principal: es lo que se ejecuta al presionar Ejecutar. Tiene que haber exactamente uno.' },
+    { name: 'procedimiento', kind: 'keyword', signature: 'procedimiento nombre(parámetros) { ... }',
+        documentation: 'Define un procedimiento que se puede llamar desde el programa o desde otros procedimientos.' },
+    { name: 'repetir', kind: 'keyword', signature: 'repetir N veces { ... }',
+        documentation: 'Ejecuta el bloque N veces. N puede ser un número, un parámetro, una consulta o una expresión como anchoTablero - 1.' },
+    { name: 'veces', kind: 'keyword', signature: 'repetir N veces { ... }',
+        documentation: 'Parte de la instrucción repetir.' },
+    { name: 'si', kind: 'keyword', signature: 'si (condición) { ... } sino { ... }',
+        documentation: 'Ejecuta el bloque solo si la condición es verdadera. El bloque sino es opcional.' },
+    { name: 'sino', kind: 'keyword', signature: 'sino { ... }',
+        documentation: 'Bloque que se ejecuta cuando la condición del si es falsa.' },
+    { name: 'mientras', kind: 'keyword', signature: 'mientras (condición) { ... }',
+        documentation: 'Repite el bloque mientras la condición sea verdadera.' },
+    { name: 'variable', kind: 'keyword', signature: 'variable nombre := valor',
+        documentation: 'Declara una variable con su valor inicial. Se usa hasta el final del bloque donde se declara ' +
+            'y su valor se cambia con nombre := valor nuevo (del mismo tipo).' },
+    { name: 'funcion', kind: 'keyword', signature: 'funcion nombre(parámetros) { ... devolver valor }',
+        documentation: 'Define una función que calcula un valor. Si el nombre termina en ? es un sensor y devuelve ' +
+            'una condición. Puede mover el cabezal y mirar el tablero: al terminar, todo vuelve a como estaba.' },
+    { name: 'devolver', kind: 'keyword', signature: 'devolver valor',
+        documentation: 'Última instrucción de una función: el valor (o la condición) que devuelve.' },
+    { name: 'no', kind: 'keyword', signature: 'no condición',
+        documentation: 'Niega una condición: verdadero si la condición es falsa.' },
+    { name: 'y', kind: 'keyword', signature: 'condición y condición',
+        documentation: 'Verdadero si las dos condiciones son verdaderas.' },
+    { name: 'o', kind: 'keyword', signature: 'condición o condición',
+        documentation: 'Verdadero si al menos una de las condiciones es verdadera.' },
+    { name: 'div', kind: 'keyword', signature: 'número div número',
+        documentation: 'División entera, redondeando hacia abajo: 7 div 2 es 3. Dividir por cero es un error.' },
+    { name: 'mod', kind: 'keyword', signature: 'número mod número',
+        documentation: 'Resto de la división entera: 7 mod 2 es 1. Dividir por cero es un error.' },
+
+    // Valores
+    { name: 'Arriba', kind: 'literal', signature: 'Arriba', documentation: 'Dirección hacia arriba.' },
+    { name: 'Abajo', kind: 'literal', signature: 'Abajo', documentation: 'Dirección hacia abajo.' },
+    { name: 'Derecha', kind: 'literal', signature: 'Derecha', documentation: 'Dirección hacia la derecha.' },
+    { name: 'Izquierda', kind: 'literal', signature: 'Izquierda', documentation: 'Dirección hacia la izquierda.' }
+];
+
+// Plantillas de las estructuras del lenguaje (formato de snippets de Monaco)
+const QDRAW_SNIPPETS = [
+    { label: 'programa', detail: 'programa { ... }',
+        insertText: 'programa {\n\t$0\n}' },
+    { label: 'procedimiento', detail: 'procedimiento nombre() { ... }',
+        insertText: 'procedimiento ${1:nombre}($2) {\n\t$0\n}' },
+    { label: 'repetir', detail: 'repetir N veces { ... }',
+        insertText: 'repetir ${1:4} veces {\n\t$0\n}' },
+    { label: 'si', detail: 'si (condición) { ... }',
+        insertText: 'si (${1:estaVacia?}) {\n\t$0\n}' },
+    { label: 'si/sino', detail: 'si (condición) { ... } sino { ... }',
+        insertText: 'si (${1:estaVacia?}) {\n\t$2\n} sino {\n\t$0\n}' },
+    { label: 'mientras', detail: 'mientras (condición) { ... }',
+        insertText: 'mientras (${1:puedeMoverDerecha?}) {\n\t$0\n}' },
+    { label: 'funcion', detail: 'funcion nombre?() { ... devolver condición }',
+        insertText: 'funcion ${1:nombre}?($2) {\n\t$0\n\tdevolver ${3:estaVacia?}\n}' },
+    { label: 'variable', detail: 'variable nombre := valor',
+        insertText: 'variable ${1:n} := ${2:0}' }
+];
+
+class QdrawLanguage {
+    // Elementos predefinidos más el comando, el sensor y el valor de cada color de la paleta
+    static getBuiltins(palette = LanguageCore.QdrawPalette.DEFAULT) {
+        const Palette = LanguageCore.QdrawPalette;
+        const literals = palette.colors.map(color => color.literal);
+        const builtins = QDRAW_BUILTINS.map(builtin => builtin.params && builtin.params[0] === 'color'
+            ? { ...builtin, insertText: `${builtin.name}(\${1|${literals.join(',')}|})` }
+            : builtin);
+
+        for (const { name, literal } of palette.colors) {
+            builtins.push(
+                { name: Palette.commandName(name), kind: 'command', signature: Palette.commandName(name),
+                    documentation: `Pinta de ${name} la celda donde está el cabezal.` },
+                { name: Palette.sensorName(name), kind: 'sensor', signature: Palette.sensorName(name),
+                    documentation: `Verdadero si la celda donde está el cabezal está pintada de ${name}.` },
+                { name: Palette.ballsSensorName(name), kind: 'sensor', signature: Palette.ballsSensorName(name),
+                    documentation: `Modo bolitas: verdadero si en la celda donde está el cabezal hay bolitas de ${name}.` },
+                { name: literal, kind: 'literal', signature: literal, documentation: `Color ${name}.` }
+            );
+        }
+
+        return builtins;
+    }
+
+    static findBuiltin(name, palette = LanguageCore.QdrawPalette.DEFAULT) {
+        return QdrawLanguage.getBuiltins(palette).find(builtin => builtin.name === name) || null;
+    }
+
+    // Primera definición de cada procedimiento y función del AST (puede ser parcial)
+    static getProcedures(ast) {
+        const procedures = new Map();
+        for (const proc of [...ast.procedures, ...ast.functions]) {
+            if (!procedures.has(proc.name)) {
+                procedures.set(proc.name, proc);
+            }
+        }
+        return procedures;
+    }
+
+    static describeProcedure(proc) {
+        const keyword = proc.type === 'Function' ? 'funcion' : 'procedimiento';
+        return `${keyword} ${proc.name}(${proc.params.map(param => param.name).join(', ')})`;
+    }
+
+    // Opciones de autocompletado: elementos predefinidos, plantillas y
+    // procedimientos y funciones del archivo (con sus parámetros como marcadores)
+    static getCompletions(ast, palette = LanguageCore.QdrawPalette.DEFAULT) {
+        const items = QdrawLanguage.getBuiltins(palette).map(builtin => ({
+            label: builtin.name,
+            kind: builtin.kind,
+            detail: builtin.signature,
+            documentation: builtin.documentation,
+            insertText: builtin.insertText || builtin.name,
+            isSnippet: Boolean(builtin.insertText)
+        }));
+
+        for (const snippet of QDRAW_SNIPPETS) {
+            items.push({
+                label: snippet.label,
+                kind: 'snippet',
+                detail: snippet.detail,
+                documentation: '',
+                insertText: snippet.insertText,
+                isSnippet: true
+            });
+        }
+
+        for (const proc of QdrawLanguage.getProcedures(ast).values()) {
+            const placeholders = proc.params.map((param, i) => `\${${i + 1}:${param.name}}`);
+            items.push({
+                label: proc.name,
+                kind: 'procedure',
+                detail: QdrawLanguage.describeProcedure(proc),
+                documentation: `Definido en la línea ${proc.line}`,
+                insertText: `${proc.name}(${placeholders.join(', ')})`,
+                isSnippet: true
+            });
+        }
+
+        return items;
+    }
+
+    // Procedimiento o función cuyo nombre (en la definición o en una llamada)
+    // está en la posición indicada: { name, range, isDefinition } o null
+    static findSymbolAt(ast, line, column) {
+        const contains = (range) => range.line === line &&
+            column >= range.column && column <= range.endColumn;
+
+        for (const proc of [...ast.procedures, ...ast.functions]) {
+            if (contains(proc.range)) {
+                return { name: proc.name, range: proc.range, isDefinition: true };
+            }
+        }
+
+        let found = null;
+        LanguageCore.QdrawDiagnostics.forEachCall(ast, (call) => {
+            if (!found && contains(call.range)) {
+                found = { name: call.name, range: call.range, isDefinition: false };
+            }
+        });
+        return found;
+    }
+
+    static findDefinition(ast, name) {
+        return QdrawLanguage.getProcedures(ast).get(name) || null;
+    }
+
+    // Rangos de todas las llamadas a un procedimiento o función (y de su definición)
+    static findReferences(ast, name, includeDefinition = true) {
+        const ranges = [];
+
+        if (includeDefinition) {
+            for (const proc of [...ast.procedures, ...ast.functions]) {
+                if (proc.name === name) {
+                    ranges.push(proc.range);
+                }
+            }
+        }
+
+        LanguageCore.QdrawDiagnostics.forEachCall(ast, (call) => {
+            if (call.name === name) {
+                ranges.push(call.range);
+            }
+        });
+
+        return ranges;
+    }
+
+    // Llamada cuyos argumentos se están escribiendo al final de textBefore
+    // (el código hasta el cursor): { name, activeParameter } o null
+    static findCallContext(textBefore) {
+        const { tokens } = new LanguageCore.QdrawTokenizer(textBefore).tokenizeWithRecovery();
+        let depth = 0;
+        let commas = 0;
+
+        // Recorrer hacia atrás hasta el '(' que todavía no se cerró
+        for (let i = tokens.length - 2; i >= 0; i--) {
+            const token = tokens[i];
+
+            if (token.type === LanguageCore.TOKEN_TYPES.RPAREN) {
+                depth++;
+            } else if (token.type === LanguageCore.TOKEN_TYPES.LPAREN) {
+                if (depth === 0) {
+                    const callee = tokens[i - 1];
+                    return callee ? { name: callee.value, activeParameter: commas } : null;
+                }
+                depth--;
+            } else if (token.type === LanguageCore.TOKEN_TYPES.COMMA && depth === 0) {
+                commas++;
+            } else if (token.type === LanguageCore.TOKEN_TYPES.LBRACE ||
+                       token.type === LanguageCore.TOKEN_TYPES.RBRACE) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    // Firma de un comando, procedimiento o función: { label, params, documentation } o null
+    static getSignature(ast, name) {
+        const builtin = QdrawLanguage.findBuiltin(name);
+        if (builtin && builtin.params) {
+            return { label: builtin.signature, params: builtin.params, documentation: builtin.documentation };
+        }
+
+        const proc = QdrawLanguage.findDefinition(ast, name);
+        if (proc) {
+            return {
+                label: `${proc.name}(${proc.params.map(param => param.name).join(', ')})`,
+                params: proc.params.map(param => param.name),
+                documentation: `Definido en la línea ${proc.line}`
+            };
+        }
+
+        return null;
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawLanguage,
+        QDRAW_BUILTINS,
+        QDRAW_SNIPPETS
+    };
+}
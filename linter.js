@@ -0,0 +1,277 @@
+// =====================================================
+// QDRAW LINTER - ADVERTENCIAS DE ESTILO
+// =====================================================
+// Recorre el AST de un programa sin errores y devuelve
+// advertencias sobre código que funciona pero probablemente
+// no es lo que se quería escribir: procedimientos sin usar,
+// bloques vacíos, movimientos que se cancelan, etc.
+// Cada regla se puede desactivar por su nombre:
+//
+//   new QdrawLinter({ rules: { 'opposite-moves': false } }).lint(ast)
+//
+// Se usa desde el editor (subrayado amarillo) y desde cli.js lint.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de diagnostics.js como globales;
+// en Node se cargan con require.
+const LinterCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./diagnostics.js')
+    : { QdrawDiagnostics, DIAGNOSTIC_SEVERITY };
+
+// Dirección de los comandos de movimiento sin argumento
+const MOVE_DIRECTIONS = {
+    MoverArriba: 'Arriba',
+    MoverAbajo: 'Abajo',
+    MoverDerecha: 'Derecha',
+    MoverIzquierda: 'Izquierda'
+};
+
+const OPPOSITE_DIRECTIONS = {
+    Arriba: 'Abajo',
+    Abajo: 'Arriba',
+    Derecha: 'Izquierda',
+    Izquierda: 'Derecha'
+};
+
+// Reglas disponibles. check(ast, report) llama a report(range, message)
+// por cada problema encontrado.
+const QDRAW_LINT_RULES = {
+    'unused-procedure': {
+        description: 'Procedimientos que nunca se llaman',
+        check(ast, report) {
+            const called = new Set();
+            const visit = (caller) => (stmt) => {
+                // Las llamadas de un procedimiento a sí mismo no cuentan como uso
+                if (stmt.type === 'ProcedureCall' && stmt.name !== caller) {
+                    called.add(stmt.name);
+                }
+            };
+
+            if (ast.program) {
+                QdrawLinter.forEachIn(ast.program.body, visit(null));
+            }
+            for (const proc of [...ast.procedures, ...ast.functions]) {
+                QdrawLinter.forEachIn(proc.body, visit(proc.name));
+            }
+
+            for (const proc of ast.procedures) {
+                if (!called.has(proc.name)) {
+                    report(proc.range, `El procedimiento '${proc.name}' nunca se usa.`);
+                }
+            }
+        }
+    },
+
+    'empty-block': {
+        description: "Bloques 'repetir', 'si', 'sino' o 'mientras' vacíos",
+        check(ast, report) {
+            LinterCore.QdrawDiagnostics.forEachStatement(ast, (stmt) => {
+                switch (stmt.type) {
+                    case 'Repetir':
+                    case 'Mientras':
+                        if (stmt.body.length === 0) {
+                            report(stmt.range, `El bloque '${stmt.type.toLowerCase()}' está vacío.`);
+                        }
+                        break;
+                    case 'Si':
+                        if (stmt.thenBody.length === 0) {
+                            report(stmt.range, `El bloque 'si' está vacío.`);
+                        }
+                        if (stmt.elseBody && stmt.elseBody.length === 0) {
+                            report(stmt.range, `El bloque 'sino' está vacío: se puede borrar.`);
+                        }
+                        break;
+                }
+            });
+        }
+    },
+
+    'zero-repetitions': {
+        description: "'repetir 0 veces', que nunca ejecuta su bloque",
+        check(ast, report) {
+            LinterCore.QdrawDiagnostics.forEachStatement(ast, (stmt) => {
+                if (stmt.type === 'Repetir' && stmt.count.type === 'Number' && stmt.count.value === 0) {
+                    report(stmt.count.range, `'repetir 0 veces' nunca ejecuta su bloque.`);
+                }
+            });
+        }
+    },
+
+    'infinite-recursion': {
+        description: 'Procedimientos que siempre vuelven a llamarse a sí mismos',
+        check(ast, report) {
+            const procedures = new Map(ast.procedures.map(proc => [proc.name, proc]));
+
+            for (const proc of procedures.values()) {
+                // Buscar un camino de llamadas incondicionales que vuelva a proc
+                const findCycle = (current, path) => {
+                    for (const call of QdrawLinter.unconditionalCalls(current.body)) {
+                        if (call.name === proc.name) {
+                            return [...path, call.name];
+                        }
+                        const next = procedures.get(call.name);
+                        if (next && !path.includes(call.name)) {
+                            const cycle = findCycle(next, [...path, call.name]);
+                            if (cycle) {
+                                return cycle;
+                            }
+                        }
+                    }
+                    return null;
+                };
+
+                const cycle = findCycle(proc, [proc.name]);
+                if (!cycle) {
+                    continue;
+                }
+
+                const message = cycle.length === 2
+                    ? `'${proc.name}' siempre se llama a sí mismo: la recursión nunca termina.`
+                    : `'${proc.name}' siempre vuelve a llamarse (${cycle.join(' → ')}): la recursión nunca termina.`;
+                report(proc.range, `${message}\nLa llamada tiene que estar dentro de un 'si' que la corte.`);
+            }
+        }
+    },
+
+    'opposite-moves': {
+        description: 'Dos movimientos seguidos en direcciones opuestas',
+        check(ast, report) {
+            QdrawLinter.forEachPair(ast, (previous, stmt) => {
+                const first = QdrawLinter.moveDirection(previous);
+                const second = QdrawLinter.moveDirection(stmt);
+                if (first && OPPOSITE_DIRECTIONS[first] === second) {
+                    report(
+                        QdrawLinter.spanRange(previous.range, stmt.range),
+                        `Mover hacia ${first} y después hacia ${second}: los movimientos se cancelan.`
+                    );
+                }
+            });
+        }
+    },
+
+    'repeated-paint': {
+        description: 'Pintar dos veces seguidas la misma celda',
+        check(ast, report) {
+            QdrawLinter.forEachPair(ast, (previous, stmt) => {
+                if (QdrawLinter.isPaint(previous) && QdrawLinter.isPaint(stmt)) {
+                    report(
+                        QdrawLinter.spanRange(previous.range, stmt.range),
+                        `Se pinta dos veces seguidas la misma celda: ` +
+                        `'${previous.command}' (línea ${previous.line}) no tiene efecto.`
+                    );
+                }
+            });
+        }
+    }
+};
+
+class QdrawLinter {
+    // options.rules: { nombreDeRegla: false } para desactivar reglas
+    constructor(options = {}) {
+        const rules = options.rules || {};
+        this.rules = Object.keys(QDRAW_LINT_RULES).filter(name => rules[name] !== false);
+    }
+
+    // Advertencias del AST, con el nombre de la regla en 'rule'
+    lint(ast) {
+        const warnings = [];
+
+        for (const name of this.rules) {
+            QDRAW_LINT_RULES[name].check(ast, (range, message) => {
+                const warning = LinterCore.QdrawDiagnostics.create(
+                    range,
+                    message,
+                    LinterCore.DIAGNOSTIC_SEVERITY.WARNING
+                );
+                warning.rule = name;
+                warnings.push(warning);
+            });
+        }
+
+        warnings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        return warnings;
+    }
+
+    // Recorre una lista de instrucciones y sus bloques anidados
+    static forEachIn(statements, visit) {
+        for (const stmt of statements) {
+            visit(stmt);
+            for (const block of LinterCore.QdrawDiagnostics.childBlocks(stmt)) {
+                QdrawLinter.forEachIn(block, visit);
+            }
+        }
+    }
+
+    // Pares de instrucciones consecutivas dentro del mismo bloque
+    static forEachPair(ast, visit) {
+        const walk = (statements) => {
+            for (let i = 0; i < statements.length; i++) {
+                if (i > 0) {
+                    visit(statements[i - 1], statements[i]);
+                }
+                for (const block of LinterCore.QdrawDiagnostics.childBlocks(statements[i])) {
+                    walk(block);
+                }
+            }
+        };
+
+        if (ast.program) {
+            walk(ast.program.body);
+        }
+        for (const proc of [...ast.procedures, ...ast.functions]) {
+            walk(proc.body);
+        }
+    }
+
+    // Llamadas que se ejecutan siempre: las del bloque y las de los
+    // 'repetir' con una cantidad fija mayor que cero (no las de si/mientras)
+    static unconditionalCalls(statements) {
+        const calls = [];
+
+        for (const stmt of statements) {
+            if (stmt.type === 'ProcedureCall') {
+                calls.push(stmt);
+            } else if (stmt.type === 'Repetir' && stmt.count.type === 'Number' && stmt.count.value > 0) {
+                calls.push(...QdrawLinter.unconditionalCalls(stmt.body));
+            }
+        }
+
+        return calls;
+    }
+
+    // Dirección de un movimiento conocido antes de ejecutar, o null
+    static moveDirection(stmt) {
+        if (stmt.type !== 'Command') {
+            return null;
+        }
+        if (stmt.command === 'Mover') {
+            return stmt.argument.type === 'Direction' ? stmt.argument.value : null;
+        }
+        return MOVE_DIRECTIONS[stmt.command] || null;
+    }
+
+    // PintarRojo, PintarAzul, ... (tienen 'color'), Pintar(color) y Limpiar
+    static isPaint(stmt) {
+        return stmt.type === 'Command' &&
+            (Boolean(stmt.color) || stmt.command === 'Pintar' || stmt.command === 'Limpiar');
+    }
+
+    // Rango desde el comienzo de una instrucción hasta el final de otra
+    static spanRange(from, to) {
+        return { line: from.line, column: from.column, endLine: to.endLine, endColumn: to.endColumn };
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawLinter,
+        QDRAW_LINT_RULES
+    };
+}
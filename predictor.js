@@ -0,0 +1,575 @@
+// =====================================================
+// QDRAW PREDICTOR - BOOM ANTES DE EJECUTAR
+// =====================================================
+// Interpretación abstracta del AST: en lugar de ejecutar el
+// programa sobre el tablero, sigue el conjunto de posiciones
+// donde puede estar el cabezal. Los colores de las celdas no
+// se siguen, así que los sensores de color se consideran
+// desconocidos (se analizan las dos ramas de un 'si'); los
+// sensores puedeMover? sí se conocen en cada posición.
+//
+// Solo se informa un BOOM cuando es seguro: la instrucción se
+// ejecuta con certeza y el cabezal se sale del tablero desde
+// todas las posiciones posibles. Por ejemplo:
+//
+//   "Esta instrucción va a hacer BOOM: ... En la iteración 7 del 'repetir' de la línea 3"
+//
+// Si antes la ejecución puede cortarse por un error (un 'repetir'
+// con una cantidad negativa o mayor al límite, una división por
+// cero) tampoco: el BOOM ya no es seguro.
+//
+// Si el análisis no puede seguir (recursión demasiado profunda,
+// demasiados pasos) no se predice nada.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de diagnostics.js como globales;
+// en Node se cargan con require.
+const PredictorCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./diagnostics.js')
+    : { QdrawDiagnostics, DIAGNOSTIC_SEVERITY };
+
+// Límites del análisis: posiciones procesadas en total y llamadas anidadas
+// (menos que en la ejecución: cada nivel del análisis usa más pila)
+const MAX_PREDICTION_WORK = 500000;
+const MAX_PREDICTION_DEPTH = 200;
+
+// Repeticiones permitidas en un 'repetir' (igual que en QdrawExecutor)
+const PREDICTOR_MAX_REPETITIONS = 10000;
+
+// Desplazamiento de cada dirección
+const PREDICTOR_MOVES = {
+    Arriba: { dx: 0, dy: 1, name: 'arriba' },
+    Abajo: { dx: 0, dy: -1, name: 'abajo' },
+    Derecha: { dx: 1, dy: 0, name: 'derecha' },
+    Izquierda: { dx: -1, dy: 0, name: 'izquierda' }
+};
+
+const PREDICTOR_COMMAND_DIRECTIONS = {
+    MoverArriba: 'Arriba',
+    MoverAbajo: 'Abajo',
+    MoverDerecha: 'Derecha',
+    MoverIzquierda: 'Izquierda'
+};
+
+// Sensores que dependen solo de la posición del cabezal
+const PREDICTOR_BORDER_SENSORS = {
+    'puedeMoverArriba?': 'Arriba',
+    'puedeMoverAbajo?': 'Abajo',
+    'puedeMoverDerecha?': 'Derecha',
+    'puedeMoverIzquierda?': 'Izquierda'
+};
+
+// Se lanza para cortar el análisis (BOOM encontrado o análisis imposible)
+const STOP_PREDICTION = Symbol('stopPrediction');
+
+class QdrawBoomPredictor {
+    constructor({ width, height, headX = 0, headY = 0 }) {
+        this.width = width;
+        this.height = height;
+        this.headX = headX;
+        this.headY = headY;
+    }
+
+    // Devuelve el BOOM seguro que ocurre primero o null:
+    // { range, line, message, x, y, direction, iteration }
+    predict(ast) {
+        if (!ast.program) {
+            return null;
+        }
+
+        this.procedures = new Map();
+        for (const proc of ast.procedures) {
+            if (!this.procedures.has(proc.name)) {
+                this.procedures.set(proc.name, proc);
+            }
+        }
+
+        this.work = 0;
+        this.frames = [];          // Loops y llamadas activos (para el mensaje)
+        this.certain = true;       // ¿La instrucción actual se ejecuta con certeza?
+        this.mayHaveStopped = false; // ¿Pudo cortarse antes (BOOM o error)?
+        this.prediction = null;
+
+        try {
+            this.runBlock(ast.program.body, new Set([this.key(this.headX, this.headY)]), {});
+        } catch (signal) {
+            if (signal !== STOP_PREDICTION) {
+                throw signal;
+            }
+        }
+
+        return this.prediction;
+    }
+
+    // Igual que predict pero como lista de diagnósticos (vacía o con uno)
+    check(ast) {
+        const prediction = this.predict(ast);
+        if (!prediction) {
+            return [];
+        }
+
+        const diagnostic = PredictorCore.QdrawDiagnostics.create(
+            prediction.range,
+            prediction.message,
+            PredictorCore.DIAGNOSTIC_SEVERITY.WARNING
+        );
+        diagnostic.rule = 'predicted-boom';
+        return [diagnostic];
+    }
+
+    // =====================================================
+    // POSICIONES
+    // =====================================================
+
+    key(x, y) {
+        return y * this.width + x;
+    }
+
+    positionOf(key) {
+        return { x: key % this.width, y: Math.floor(key / this.width) };
+    }
+
+    isInside(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    sameSet(a, b) {
+        if (a.size !== b.size) {
+            return false;
+        }
+        for (const key of a) {
+            if (!b.has(key)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    union(a, b) {
+        const result = new Set(a);
+        for (const key of b) {
+            result.add(key);
+        }
+        return result;
+    }
+
+    // Analizar una parte del programa que puede ejecutarse o no: ahí no se
+    // informan BOOMs, y si en ella la ejecución puede cortarse, lo que sigue
+    // deja de ser seguro
+    uncertain(analyze) {
+        const outer = this.certain;
+        this.certain = false;
+        const result = analyze();
+        this.certain = outer && !this.mayHaveStopped;
+        return result;
+    }
+
+    // =====================================================
+    // INSTRUCCIONES
+    // =====================================================
+
+    runBlock(statements, positions, env) {
+        let current = positions;
+
+        for (const stmt of statements) {
+            if (current.size === 0) {
+                break;
+            }
+
+            this.work += current.size;
+            if (this.work > MAX_PREDICTION_WORK) {
+                throw STOP_PREDICTION;
+            }
+
+            current = this.runStatement(stmt, current, env);
+        }
+
+        return current;
+    }
+
+    runStatement(stmt, positions, env) {
+        switch (stmt.type) {
+            case 'Command':
+                return this.runCommand(stmt, positions, env);
+            case 'Repetir':
+                return this.runRepetir(stmt, positions, env);
+            case 'Si':
+                return this.runSi(stmt, positions, env);
+            case 'Mientras':
+                return this.runMientras(stmt, positions, env);
+            case 'ProcedureCall':
+                return this.runCall(stmt, positions, env);
+            // Las variables no mueven el cabezal; sus valores no se siguen,
+            // pero se recorren por si cortan la ejecución
+            case 'VariableDeclaration':
+            case 'Assignment':
+                this.valueOf(stmt.value, env, positions);
+                return positions;
+            default:
+                throw STOP_PREDICTION;
+        }
+    }
+
+    // Valor de un argumento; undefined si depende de un parámetro desconocido,
+    // de una variable o de la posición del cabezal cuando no se sabe con certeza
+    valueOf(argument, env, positions) {
+        switch (argument.type) {
+            case 'Parameter':
+                return env[argument.name];
+            case 'Variable':
+                return undefined;
+            case 'FunctionCall':
+                this.callsFunction();
+                return undefined;
+            case 'Query':
+                return this.queryValue(argument.name, positions);
+            case 'BinaryOp':
+                return this.operationValue(argument, env, positions);
+            default:
+                return argument.value;
+        }
+    }
+
+    queryValue(name, positions) {
+        if (name === 'anchoTablero') return this.width;
+        if (name === 'altoTablero') return this.height;
+        if (positions.size !== 1) return undefined;
+
+        const { x, y } = this.positionOf(positions.values().next().value);
+        return name === 'posicionX' ? x : y;
+    }
+
+    operationValue(argument, env, positions) {
+        const left = this.valueOf(argument.left, env, positions);
+        const right = this.valueOf(argument.right, env, positions);
+        if (typeof left !== 'number' || typeof right !== 'number') {
+            return undefined;
+        }
+
+        switch (argument.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case 'div':
+            case 'mod':
+                // Dividir por cero corta la ejecución: no hay valor que predecir
+                if (right === 0) {
+                    this.mayStop();
+                    return undefined;
+                }
+                return argument.operator === 'div'
+                    ? Math.floor(left / right)
+                    : left - right * Math.floor(left / right);
+            default: return undefined;
+        }
+    }
+
+    runCommand(stmt, positions, env) {
+        // Sacar hace BOOM si no hay bolitas: lo que sigue ya no es seguro
+        if (stmt.command === 'Sacar') {
+            this.mayStop();
+        }
+
+        // El argumento se evalúa antes de todo: una función o una división
+        // por cero en él cortan la ejecución aunque el comando no mueva
+        const argument = stmt.argument ? this.valueOf(stmt.argument, env, positions) : undefined;
+
+        // Pintar, Limpiar, Poner y Sacar no mueven el cabezal
+        if (stmt.command !== 'Mover' && !PREDICTOR_COMMAND_DIRECTIONS[stmt.command]) {
+            return positions;
+        }
+
+        const direction = stmt.command === 'Mover'
+            ? argument
+            : PREDICTOR_COMMAND_DIRECTIONS[stmt.command];
+
+        // Dirección desconocida: puede ser cualquiera de las cuatro
+        const directions = PREDICTOR_MOVES[direction] ? [direction] : Object.keys(PREDICTOR_MOVES);
+        const moved = new Set();
+        let booms = 0;
+
+        for (const key of positions) {
+            const { x, y } = this.positionOf(key);
+            for (const name of directions) {
+                const move = PREDICTOR_MOVES[name];
+                if (this.isInside(x + move.dx, y + move.dy)) {
+                    moved.add(this.key(x + move.dx, y + move.dy));
+                } else {
+                    booms++;
+                }
+            }
+        }
+
+        if (moved.size === 0) {
+            this.reportBoom(stmt, positions, directions);
+        } else if (booms > 0) {
+            this.mayStop();
+        }
+
+        return moved;
+    }
+
+    runRepetir(stmt, positions, env) {
+        const count = this.valueOf(stmt.count, env, positions);
+
+        if (typeof count !== 'number') {
+            // Cantidad desconocida: cualquier cantidad de vueltas, incluso cero,
+            // o un error si resulta negativa o mayor al límite
+            this.mayStop();
+            return this.uncertain(() => this.runFixpoint(stmt.body, positions, env));
+        }
+
+        // La ejecución se corta con un error antes de la primera vuelta
+        if (count < 0 || count > PREDICTOR_MAX_REPETITIONS) {
+            this.mayStop();
+            return new Set();
+        }
+
+        const frame = { kind: 'repetir', line: stmt.line, iteration: 0 };
+        this.frames.push(frame);
+
+        let current = positions;
+        for (let i = 1; i <= count && current.size > 0; i++) {
+            frame.iteration = i;
+            const before = current;
+            const certainBefore = this.certain;
+            current = this.runBlock(stmt.body, current, env);
+
+            // Las vueltas que faltan darían el mismo resultado
+            if (this.sameSet(before, current) && this.certain === certainBefore) {
+                break;
+            }
+        }
+
+        this.frames.pop();
+        return current;
+    }
+
+    // Posiciones alcanzables repitiendo el bloque cero o más veces
+    runFixpoint(body, positions, env, condition = null) {
+        let reached = new Set(positions);
+        let frontier = positions;
+        let exits = new Set();
+
+        while (frontier.size > 0) {
+            let entering = frontier;
+            if (condition) {
+                const split = this.split(condition, frontier, env);
+                exits = this.union(exits, split.whenFalse);
+                entering = split.whenTrue;
+            }
+
+            const after = this.runBlock(body, entering, env);
+            frontier = new Set([...after].filter(key => !reached.has(key)));
+            reached = this.union(reached, frontier);
+        }
+
+        return condition ? exits : reached;
+    }
+
+    runSi(stmt, positions, env) {
+        const { whenTrue, whenFalse, uniform } = this.split(stmt.condition, positions, env);
+
+        if (uniform) {
+            if (whenTrue.size > 0) {
+                return this.runBlock(stmt.thenBody, whenTrue, env);
+            }
+            return stmt.elseBody ? this.runBlock(stmt.elseBody, whenFalse, env) : whenFalse;
+        }
+
+        return this.uncertain(() => {
+            const afterThen = this.runBlock(stmt.thenBody, whenTrue, env);
+            const afterElse = stmt.elseBody ? this.runBlock(stmt.elseBody, whenFalse, env) : whenFalse;
+            return this.union(afterThen, afterElse);
+        });
+    }
+
+    runMientras(stmt, positions, env) {
+        const frame = { kind: 'mientras', line: stmt.line, iteration: 0 };
+        const seen = new Set();
+        let current = positions;
+        let exits = new Set();
+
+        this.frames.push(frame);
+
+        while (current.size > 0) {
+            const { whenTrue, whenFalse, uniform } = this.split(stmt.condition, current, env);
+
+            if (!uniform) {
+                exits = this.union(exits, this.uncertain(() => this.runFixpoint(stmt.body, current, env, stmt.condition)));
+                break;
+            }
+            if (whenTrue.size === 0) {
+                exits = this.union(exits, whenFalse);
+                break;
+            }
+
+            // Volver a una situación ya vista: el mientras nunca termina
+            // y lo que sigue no se ejecuta (se corta por el límite de pasos)
+            const state = [...whenTrue].sort((a, b) => a - b).join(',');
+            if (seen.has(state)) {
+                break;
+            }
+            seen.add(state);
+
+            frame.iteration++;
+            current = this.runBlock(stmt.body, whenTrue, env);
+        }
+
+        this.frames.pop();
+        return exits;
+    }
+
+    runCall(stmt, positions, env) {
+        const proc = this.procedures.get(stmt.name);
+        const depth = this.frames.filter(frame => frame.kind === 'call').length;
+        if (!proc || proc.params.length !== stmt.args.length ||
+            depth >= MAX_PREDICTION_DEPTH) {
+            throw STOP_PREDICTION;
+        }
+
+        const procEnv = {};
+        proc.params.forEach((param, i) => {
+            procEnv[param.name] = this.valueOf(stmt.args[i], env, positions);
+        });
+
+        this.frames.push({ kind: 'call', name: proc.name, line: stmt.line });
+        const result = this.runBlock(proc.body, positions, procEnv);
+        this.frames.pop();
+
+        return result;
+    }
+
+    // =====================================================
+    // CONDICIONES
+    // =====================================================
+
+    // Separa las posiciones donde la condición puede ser verdadera y donde
+    // puede ser falsa. uniform indica que el resultado es el mismo y se
+    // conoce en todas las posiciones (entonces una de las dos está vacía).
+    split(condition, positions, env) {
+        const whenTrue = new Set();
+        const whenFalse = new Set();
+        let known = true;
+
+        for (const key of positions) {
+            const value = this.evaluate(condition, this.positionOf(key), env);
+            if (value === null) {
+                known = false;
+            }
+            if (value !== false) {
+                whenTrue.add(key);
+            }
+            if (value !== true) {
+                whenFalse.add(key);
+            }
+        }
+
+        const uniform = known && (whenTrue.size === 0 || whenFalse.size === 0);
+        return { whenTrue, whenFalse, uniform };
+    }
+
+    // true, false o null si depende de los colores del tablero o de valores desconocidos
+    evaluate(condition, position, env) {
+        switch (condition.type) {
+            case 'Sensor': {
+                const direction = PREDICTOR_BORDER_SENSORS[condition.sensor];
+                if (!direction) {
+                    return null;
+                }
+                const move = PREDICTOR_MOVES[direction];
+                return this.isInside(position.x + move.dx, position.y + move.dy);
+            }
+            case 'Not': {
+                const value = this.evaluate(condition.operand, position, env);
+                return value === null ? null : !value;
+            }
+            case 'And': {
+                const left = this.evaluate(condition.left, position, env);
+                const right = this.evaluate(condition.right, position, env);
+                if (left === false || right === false) return false;
+                return left === true && right === true ? true : null;
+            }
+            case 'Or': {
+                const left = this.evaluate(condition.left, position, env);
+                const right = this.evaluate(condition.right, position, env);
+                if (left === true || right === true) return true;
+                return left === false && right === false ? false : null;
+            }
+            case 'FunctionCall':
+                this.callsFunction();
+                return null;
+            case 'Comparison': {
+                // No se compara, pero una función o una división por cero en
+                // los valores pueden cortar la ejecución
+                const here = new Set([this.key(position.x, position.y)]);
+                this.valueOf(condition.left, env, here);
+                this.valueOf(condition.right, env, here);
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // El cuerpo de una función no se analiza: puede hacer BOOM
+    callsFunction() {
+        this.mayStop();
+    }
+
+    // Desde acá la ejecución puede cortarse (BOOM o error): lo que sigue
+    // ya no se ejecuta con certeza
+    mayStop() {
+        this.mayHaveStopped = true;
+        this.certain = false;
+    }
+
+    // =====================================================
+    // RESULTADO
+    // =====================================================
+
+    // Todas las posiciones hacen BOOM: si la instrucción se ejecuta con
+    // certeza, es la predicción; si no, lo que sigue ya no es seguro
+    reportBoom(stmt, positions, directions) {
+        if (!this.certain) {
+            this.mayHaveStopped = true;
+            return;
+        }
+
+        const single = positions.size === 1 && directions.length === 1;
+        const { x, y } = this.positionOf(positions.values().next().value);
+        const where = single
+            ? `intentando mover ${PREDICTOR_MOVES[directions[0]].name} desde (${x}, ${y})`
+            : `desde cualquier posición posible del cabezal`;
+
+        const context = this.frames.map(frame => frame.kind === 'call'
+            ? `Dentro de '${frame.name}' (llamado en la línea ${frame.line})`
+            : `En la iteración ${frame.iteration} del '${frame.kind}' de la línea ${frame.line}`);
+
+        const loops = this.frames.filter(frame => frame.kind !== 'call');
+
+        this.prediction = {
+            range: stmt.range,
+            line: stmt.line,
+            message: [`Esta instrucción va a hacer BOOM: el cabezal se sale del tablero ${where}.`, ...context].join('\n'),
+            x: single ? x : null,
+            y: single ? y : null,
+            direction: single ? directions[0] : null,
+            iteration: loops.length > 0 ? loops[loops.length - 1].iteration : null
+        };
+
+        throw STOP_PREDICTION;
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawBoomPredictor
+    };
+}
@@ -0,0 +1,164 @@
+// =====================================================
+// QDRAW PROJECT - FORMATO DE PROYECTO (.qdrawproj)
+// =====================================================
+// Guarda el código junto con el tablero inicial, la posición
+// del cabezal, las dimensiones y la velocidad.
+// Se usa desde la interfaz (Guardar/Abrir) y desde cli.js.
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js como globales;
+// en Node se cargan con require.
+const ProjectCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./interpreter.js')
+    : { QdrawInterpreter, QdrawPalette, QDRAW_CONFIG, BOARD_MODES };
+
+/*
+ * Formato del archivo (JSON):
+ *
+ * {
+ *   "format": "qdrawproj",
+ *   "version": 1,
+ *   "source": "programa { ... }",
+ *   "width": 8,
+ *   "height": 8,
+ *   "grid": [[...]],      // grid[y][x], y = 0 es la fila de abajo
+ *   "headX": 0,
+ *   "headY": 0,
+ *   "speed": 3,
+ *   "mode": "bolitas",
+ *   "colors": [{ "name": "celeste", "hex": "#87ceeb" }]
+ * }
+ *
+ * "mode" es opcional: "colores" (por defecto, cada celda es un color o
+ * null) o "bolitas" (cada celda es null o { "rojo": 2, "azul": 1 }).
+ *
+ * "colors" es opcional: colores que el ejercicio agrega a la paleta
+ * predefinida (cada uno genera PintarCeleste, estaPintadaDeCeleste?, ...).
+ */
+
+const QDRAW_PROJECT = {
+    FORMAT: 'qdrawproj',
+    VERSION: 1,
+    EXTENSION: '.qdrawproj',
+    SPEEDS: [0, 1, 3, 7]
+};
+
+class QdrawProject {
+    // Crear el contenido del archivo a partir del código y el estado del tablero
+    static serialize({ source, width, height, grid, headX, headY, speed, mode = ProjectCore.BOARD_MODES.COLORES, colors = [] }) {
+        const project = {
+            format: QDRAW_PROJECT.FORMAT,
+            version: QDRAW_PROJECT.VERSION,
+            source,
+            width,
+            height,
+            grid,
+            headX,
+            headY,
+            speed: parseInt(speed, 10)
+        };
+        if (mode !== ProjectCore.BOARD_MODES.COLORES) {
+            project.mode = mode;
+        }
+        if (colors.length > 0) {
+            project.colors = colors;
+        }
+        return JSON.stringify(project, null, 2);
+    }
+
+    // Leer y validar un archivo de proyecto
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`El proyecto no es JSON válido: ${error.message}`);
+        }
+
+        if (!data || data.format !== QDRAW_PROJECT.FORMAT) {
+            throw new Error(`El archivo no es un proyecto Qdraw (falta "format": "${QDRAW_PROJECT.FORMAT}")`);
+        }
+
+        if (data.version > QDRAW_PROJECT.VERSION) {
+            throw new Error(
+                `El proyecto usa la versión ${data.version} del formato, ` +
+                `pero este intérprete solo soporta hasta la versión ${QDRAW_PROJECT.VERSION}`
+            );
+        }
+
+        if (typeof data.source !== 'string') {
+            throw new Error('El proyecto no contiene el código ("source")');
+        }
+
+        const { width, height } = data;
+        const config = ProjectCore.QDRAW_CONFIG;
+        const validSize = (n) => Number.isInteger(n) && n >= config.MIN_BOARD_SIZE && n <= config.MAX_BOARD_SIZE;
+        if (!validSize(width) || !validSize(height)) {
+            throw new Error(
+                `Dimensiones inválidas (${width}x${height}): deben estar entre ` +
+                `${config.MIN_BOARD_SIZE} y ${config.MAX_BOARD_SIZE}`
+            );
+        }
+
+        const colors = data.colors || [];
+        let palette;
+        try {
+            if (!Array.isArray(colors)) {
+                throw new Error('"colors" tiene que ser una lista');
+            }
+            palette = ProjectCore.QdrawPalette.withColors(colors);
+        } catch (error) {
+            throw new Error(`Colores inválidos en el proyecto: ${error.message}`);
+        }
+
+        const mode = data.mode || ProjectCore.BOARD_MODES.COLORES;
+        if (!Object.values(ProjectCore.BOARD_MODES).includes(mode)) {
+            throw new Error(`Modo de tablero desconocido '${mode}' (puede ser "colores" o "bolitas")`);
+        }
+
+        const grid = data.grid || Array(height).fill(null).map(() => Array(width).fill(null));
+        try {
+            ProjectCore.QdrawInterpreter.validateGrid(grid, width, height, palette, mode);
+        } catch (error) {
+            throw new Error(`El tablero del proyecto ${error.message}`);
+        }
+
+        const headX = data.headX || 0;
+        const headY = data.headY || 0;
+        if (!Number.isInteger(headX) || !Number.isInteger(headY) ||
+            headX < 0 || headX >= width || headY < 0 || headY >= height) {
+            throw new Error(`La posición del cabezal (${headX}, ${headY}) está fuera del tablero`);
+        }
+
+        const speed = QDRAW_PROJECT.SPEEDS.includes(data.speed) ? data.speed : 3;
+
+        return {
+            source: data.source,
+            width,
+            height,
+            grid,
+            headX,
+            headY,
+            speed,
+            mode,
+            colors: palette.customColors()
+        };
+    }
+
+    static isProjectFile(fileName) {
+        return fileName.toLowerCase().endsWith(QDRAW_PROJECT.EXTENSION);
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawProject,
+        QDRAW_PROJECT
+    };
+}
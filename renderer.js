@@ -0,0 +1,316 @@
+// =====================================================
+// QDRAW RENDERER - DIBUJO DEL TABLERO EN UN CANVAS
+// =====================================================
+// Dibuja el tablero, las coordenadas y el cabezal en un <canvas>.
+// Recuerda lo que dibujó en cada celda, así que en cada paso solo
+// repinta las celdas que cambiaron y las del cabezal.
+// Se usa desde la interfaz (app.js).
+// =====================================================
+
+'use strict';
+
+const BOARD_STYLE = {
+    CELL_SIZE: 45,           // Lado de una celda en px (antes del zoom)
+    GAP: 2,                  // Separación entre celdas
+    MARGIN: 35,              // Espacio alrededor del tablero para las coordenadas
+    MAX_CANVAS_SIZE: 8192,   // Lado máximo del canvas en px reales (limita la memoria)
+    BACKGROUND: '#f5f5f5',
+    GRID: '#666',
+    EMPTY: '#ffffff',
+    BORDER: '#ccc',
+    COORDINATES: '#555',
+    HEAD: '#ffc107',
+    HEAD_GLOW: 'rgba(255, 193, 7, 0.35)',
+    HOVER: '#2196f3',
+    HOVER_TELEPORT: '#4caf50',
+    MISMATCH: '#e040fb',
+    FONT: "'Consolas', monospace"
+};
+
+/*
+ * Uso:
+ *
+ *   const renderer = new QdrawBoardRenderer(canvas, palette);
+ *   renderer.render({ width, height, mode, grid, headX, headY, mismatched });
+ *
+ * "grid" es grid[y][x] con y = 0 en la fila de abajo (como cloneState) y
+ * "mismatched" es un Set opcional de 'x,y' con las celdas que no coinciden
+ * con el tablero esperado (ver grader.js).
+ *
+ * render() se puede llamar en cada paso: compara con lo último dibujado y
+ * solo repinta lo que cambió. Las dimensiones, el modo, la paleta o el zoom
+ * fuerzan un dibujo completo.
+ */
+class QdrawBoardRenderer {
+    // pixelRatio: píxeles reales por px (por defecto el de la pantalla; las
+    // imágenes exportadas usan 1)
+    constructor(canvas, palette, { pixelRatio = null } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.palette = palette;
+        this.pixelRatio = pixelRatio;
+        this.zoom = 1;
+        this.cellSize = BOARD_STYLE.CELL_SIZE;
+        this.board = null;     // Último tablero dibujado
+        this.drawn = [];       // drawn[y][x]: clave de lo que se dibujó en la celda
+        this.hover = null;     // { x, y, teleport } de la celda bajo el mouse
+        this.needsLayout = true;
+    }
+
+    setPalette(palette) {
+        this.palette = palette;
+        this.needsLayout = true;
+    }
+
+    // Zoom con la rueda: se cambia el tamaño real del canvas en lugar de
+    // escalarlo con CSS, así las líneas y los números no se ven borrosos
+    setZoom(zoom) {
+        this.zoom = zoom;
+        this.needsLayout = true;
+    }
+
+    // Lado de la celda sin zoom (cambia con el ancho de la ventana, ver styles.css)
+    setCellSize(size) {
+        if (size > 0 && size !== this.cellSize) {
+            this.cellSize = size;
+            this.needsLayout = true;
+        }
+    }
+
+    render(board) {
+        const layoutChanged = this.needsLayout || !this.board ||
+            board.width !== this.board.width ||
+            board.height !== this.board.height ||
+            board.mode !== this.board.mode;
+
+        this.board = board;
+        if (layoutChanged) {
+            this.drawAll(board);
+        } else {
+            this.drawChanges(board);
+        }
+    }
+
+    // Marca la celda bajo el mouse (null para ninguna)
+    setHover(hover) {
+        const previous = this.hover;
+        if (previous && hover && previous.x === hover.x && previous.y === hover.y &&
+            previous.teleport === hover.teleport) {
+            return;
+        }
+        this.hover = hover;
+
+        if (!this.board || this.needsLayout) return;
+        if (previous) this.drawCell(this.board, previous.x, previous.y);
+        if (hover) this.drawCell(this.board, hover.x, hover.y);
+    }
+
+    // Celda en la posición del mouse (offsetX/offsetY del evento), o null
+    cellAt(offsetX, offsetY) {
+        if (!this.board) return null;
+
+        const size = this.cellSize;
+        const step = size + BOARD_STYLE.GAP;
+        const left = (offsetX / this.zoom) - BOARD_STYLE.MARGIN - BOARD_STYLE.GAP;
+        const top = (offsetY / this.zoom) - BOARD_STYLE.MARGIN - BOARD_STYLE.GAP;
+        const column = Math.floor(left / step);
+        const row = Math.floor(top / step);
+
+        // Las separaciones entre celdas no cuentan
+        if (left < 0 || top < 0 || left - column * step >= size || top - row * step >= size) {
+            return null;
+        }
+        if (column >= this.board.width || row >= this.board.height) {
+            return null;
+        }
+
+        return { x: column, y: this.board.height - 1 - row };
+    }
+
+    // =====================================================
+    // DIBUJO
+    // =====================================================
+
+    drawAll(board) {
+        const size = this.cellSize;
+        const boardWidth = board.width * (size + BOARD_STYLE.GAP) + BOARD_STYLE.GAP;
+        const boardHeight = board.height * (size + BOARD_STYLE.GAP) + BOARD_STYLE.GAP;
+        const cssWidth = boardWidth + 2 * BOARD_STYLE.MARGIN;
+        const cssHeight = boardHeight + 2 * BOARD_STYLE.MARGIN;
+
+        // Píxeles reales: zoom por densidad de la pantalla, sin pasarse del máximo
+        const ratio = this.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        const scale = Math.min(this.zoom * ratio, BOARD_STYLE.MAX_CANVAS_SIZE / Math.max(cssWidth, cssHeight));
+
+        this.canvas.width = Math.round(cssWidth * scale);
+        this.canvas.height = Math.round(cssHeight * scale);
+        this.canvas.style.width = `${Math.round(cssWidth * this.zoom)}px`;
+        this.canvas.style.height = `${Math.round(cssHeight * this.zoom)}px`;
+
+        const ctx = this.context;
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        ctx.fillStyle = BOARD_STYLE.BACKGROUND;
+        ctx.fillRect(0, 0, cssWidth, cssHeight);
+        ctx.fillStyle = BOARD_STYLE.GRID;
+        ctx.fillRect(BOARD_STYLE.MARGIN, BOARD_STYLE.MARGIN, boardWidth, boardHeight);
+
+        this.drawCoordinates(board, boardWidth, boardHeight);
+
+        this.drawn = [];
+        for (let y = 0; y < board.height; y++) {
+            this.drawn.push(new Array(board.width).fill(null));
+            for (let x = 0; x < board.width; x++) {
+                this.drawCell(board, x, y);
+            }
+        }
+
+        this.needsLayout = false;
+    }
+
+    // Solo las celdas que cambiaron (el contenido, el cabezal o la marca de diferencia)
+    drawChanges(board) {
+        for (let y = 0; y < board.height; y++) {
+            for (let x = 0; x < board.width; x++) {
+                if (this.drawn[y][x] !== this.cellKey(board, x, y)) {
+                    this.drawCell(board, x, y);
+                }
+            }
+        }
+    }
+
+    // Todo lo que define cómo se ve una celda, para saber si hay que repintarla
+    cellKey(board, x, y) {
+        const cell = board.grid[y][x];
+        const content = cell && typeof cell === 'object'
+            ? Object.keys(cell).filter(name => cell[name]).map(name => `${name}:${cell[name]}`).join(',')
+            : (cell || '');
+        const isHead = x === board.headX && y === board.headY;
+        const isMismatch = Boolean(board.mismatched && board.mismatched.has(`${x},${y}`));
+        return `${content}|${isHead}|${isMismatch}|${this.hoverStyle(x, y) || ''}`;
+    }
+
+    // Borde de la celda bajo el mouse: azul al editar, verde al teletransportar
+    hoverStyle(x, y) {
+        if (!this.hover || this.hover.x !== x || this.hover.y !== y) return null;
+        return this.hover.teleport ? BOARD_STYLE.HOVER_TELEPORT : BOARD_STYLE.HOVER;
+    }
+
+    drawCell(board, x, y) {
+        if (x < 0 || y < 0 || x >= board.width || y >= board.height) return;
+
+        const ctx = this.context;
+        const size = this.cellSize;
+        const left = BOARD_STYLE.MARGIN + BOARD_STYLE.GAP + x * (size + BOARD_STYLE.GAP);
+        const top = BOARD_STYLE.MARGIN + BOARD_STYLE.GAP + (board.height - 1 - y) * (size + BOARD_STYLE.GAP);
+        const cell = board.grid[y][x];
+
+        // Fondo: el color de la celda o blanco (en modo bolitas siempre blanco)
+        const colored = cell && typeof cell !== 'object' && this.palette.has(cell);
+        ctx.fillStyle = colored ? this.palette.get(cell).hex : BOARD_STYLE.EMPTY;
+        ctx.fillRect(left, top, size, size);
+
+        if (cell && typeof cell === 'object') {
+            this.drawBalls(cell, left, top, size);
+        }
+
+        const hover = this.hoverStyle(x, y);
+        ctx.lineWidth = hover ? 2 : 1;
+        ctx.strokeStyle = hover || BOARD_STYLE.BORDER;
+        ctx.strokeRect(left + ctx.lineWidth / 2, top + ctx.lineWidth / 2, size - ctx.lineWidth, size - ctx.lineWidth);
+
+        if (board.mismatched && board.mismatched.has(`${x},${y}`)) {
+            ctx.save();
+            ctx.setLineDash([5, 3]);
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = BOARD_STYLE.MISMATCH;
+            ctx.strokeRect(left + 7.5, top + 7.5, size - 15, size - 15);
+            ctx.restore();
+        }
+
+        if (x === board.headX && y === board.headY) {
+            ctx.fillStyle = BOARD_STYLE.HEAD_GLOW;
+            ctx.fillRect(left + 4, top + 4, size - 8, size - 8);
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = BOARD_STYLE.HEAD;
+            ctx.strokeRect(left + 2, top + 2, size - 4, size - 4);
+        }
+
+        if (this.drawn[y]) {
+            this.drawn[y][x] = this.cellKey(board, x, y);
+        }
+    }
+
+    // Una bolita por color con su cantidad, de a dos por fila
+    drawBalls(cell, left, top, size) {
+        const colors = this.palette.colors.filter(color => cell[color.name]);
+        if (colors.length === 0) return;
+
+        const ctx = this.context;
+        const perRow = colors.length === 1 ? 1 : 2;
+        const rows = Math.ceil(colors.length / perRow);
+        const diameter = Math.min((size - 4) / perRow, (size - 4) / rows, size * 0.42);
+        const radius = diameter / 2;
+
+        ctx.font = `bold ${Math.max(7, Math.round(diameter * 0.5))}px ${BOARD_STYLE.FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        colors.forEach((color, index) => {
+            const row = Math.floor(index / perRow);
+            const inRow = Math.min(perRow, colors.length - row * perRow);
+            const cx = left + size / 2 + (index % perRow - (inRow - 1) / 2) * (diameter + 1);
+            const cy = top + size / 2 + (row - (rows - 1) / 2) * (diameter + 1);
+
+            ctx.fillStyle = color.hex;
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            ctx.shadowBlur = 2;
+            ctx.fillText(String(cell[color.name]), cx, cy + 0.5);
+            ctx.shadowBlur = 0;
+        });
+    }
+
+    // Números de columna arriba y abajo, de fila a la izquierda y a la derecha
+    drawCoordinates(board, boardWidth, boardHeight) {
+        const ctx = this.context;
+        const size = this.cellSize;
+        const step = size + BOARD_STYLE.GAP;
+        const first = BOARD_STYLE.MARGIN + BOARD_STYLE.GAP + size / 2;
+
+        ctx.fillStyle = BOARD_STYLE.COORDINATES;
+        ctx.font = `bold 13px ${BOARD_STYLE.FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const above = BOARD_STYLE.MARGIN / 2;
+        const below = BOARD_STYLE.MARGIN + boardHeight + BOARD_STYLE.MARGIN / 2;
+        for (let x = 0; x < board.width; x++) {
+            ctx.fillText(String(x), first + x * step, above);
+            ctx.fillText(String(x), first + x * step, below);
+        }
+
+        const leftSide = BOARD_STYLE.MARGIN / 2;
+        const rightSide = BOARD_STYLE.MARGIN + boardWidth + BOARD_STYLE.MARGIN / 2;
+        for (let y = 0; y < board.height; y++) {
+            const cy = first + (board.height - 1 - y) * step;
+            ctx.fillText(String(y), leftSide, cy);
+            ctx.fillText(String(y), rightSide, cy);
+        }
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawBoardRenderer,
+        BOARD_STYLE
+    };
+}
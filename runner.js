@@ -0,0 +1,266 @@
+// =====================================================
+// QDRAW RUNNER - EJECUCIÓN EN UN WEB WORKER
+// =====================================================
+// Del lado de la página: manda el programa a worker.js y aplica sobre
+// el tablero los pasos que el worker devuelve en tandas.
+// Tiene la misma interfaz que QdrawExecutor (pause, resume, stepInto,
+// cancel, getActivations, onPause, ...), así app.js lo usa igual.
+// Se usa desde la interfaz (app.js).
+// =====================================================
+
+'use strict';
+
+// En el navegador las clases vienen de interpreter.js como globales;
+// en Node se cargan con require.
+const RunnerCore = (typeof module !== 'undefined' && module.exports)
+    ? require('./interpreter.js')
+    : {
+        QdrawError, QdrawLexicalError, QdrawSyntaxError, QdrawRuntimeError,
+        QdrawBoomError, QdrawLimitError, QdrawCancelledError
+    };
+
+const WORKER_SCRIPT = 'worker.js';
+
+// Clases de error que pueden llegar del worker, por nombre
+const WORKER_ERROR_CLASSES = {
+    QdrawError: RunnerCore.QdrawError,
+    QdrawLexicalError: RunnerCore.QdrawLexicalError,
+    QdrawSyntaxError: RunnerCore.QdrawSyntaxError,
+    QdrawRuntimeError: RunnerCore.QdrawRuntimeError,
+    QdrawBoomError: RunnerCore.QdrawBoomError,
+    QdrawLimitError: RunnerCore.QdrawLimitError,
+    QdrawCancelledError: RunnerCore.QdrawCancelledError
+};
+
+/*
+ * Uso (ver el protocolo de mensajes en worker.js):
+ *
+ *   const runner = new QdrawWorkerRunner(interpreter, () => render());
+ *   const errors = await runner.load(code, palette);   // errores de sintaxis
+ *   runner.trace = new QdrawTrace(interpreter.cloneState());
+ *   const result = await runner.execute();             // { success, message, error }
+ *
+ * Cada tanda de pasos se graba en 'trace' y se aplica sobre 'interpreter',
+ * y después se llama a onStep.
+ */
+class QdrawWorkerRunner {
+    constructor(interpreter, onStep = null) {
+        this.interpreter = interpreter;
+        this.onStep = onStep;
+        this.trace = null;
+        this.position = 0;          // Pasos de la traza ya aplicados al tablero
+        this.worker = new Worker(WORKER_SCRIPT);
+        this.pending = null;        // Promesa de load/execute en curso: { resolve, type }
+        this.activations = [];      // Última pila que mandó el worker
+        this.currentLine = null;
+        this.running = false;
+        this.finished = false;
+
+        // Depuración (igual que QdrawExecutor)
+        this.onStatement = null;
+        this.onPause = null;
+        this.onResume = null;
+        this.breakpoints = [];
+        this.paused = false;
+        this.startPaused = false;
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.finish({
+                success: false,
+                message: event.message,
+                error: new RunnerCore.QdrawError(`Error interno del intérprete: ${event.message}`)
+            });
+        };
+    }
+
+    // Tokeniza y parsea en el worker; devuelve los errores de sintaxis
+    // (si hay, el worker ya no sirve y se libera)
+    load(code, palette) {
+        return this.request('loaded', { type: 'load', code, colors: palette.customColors() })
+            .then(errors => {
+                if (errors.length > 0) {
+                    this.terminate();
+                }
+                return errors.map(QdrawWorkerRunner.restoreError);
+            });
+    }
+
+    execute() {
+        this.running = true;
+        return this.request('done', {
+            type: 'run',
+            board: {
+                width: this.interpreter.width,
+                height: this.interpreter.height,
+                mode: this.interpreter.mode,
+                ...this.interpreter.cloneState()
+            },
+            speed: this.interpreter.speed,
+            breakpoints: this.breakpoints,
+            startPaused: this.startPaused
+        });
+    }
+
+    request(responseType, message) {
+        return new Promise(resolve => {
+            this.pending = { resolve, type: responseType };
+            this.worker.postMessage(message);
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'loaded':
+                this.resolvePending('loaded', message.errors);
+                break;
+            case 'steps':
+                this.applySteps(message.steps);
+                this.activations = message.activations;
+                if (message.line !== null && message.line !== this.currentLine) {
+                    this.currentLine = message.line;
+                    if (this.onStatement) {
+                        this.onStatement({ line: message.line });
+                    }
+                }
+                if (this.onStep) {
+                    this.onStep();
+                }
+                break;
+            case 'paused':
+                this.paused = true;
+                this.activations = message.activations;
+                this.currentLine = message.line;
+                if (this.onPause) {
+                    this.onPause({ line: message.line }, message.reason);
+                }
+                break;
+            case 'done': {
+                const result = message.result;
+                this.finish({
+                    ...result,
+                    error: result.error ? QdrawWorkerRunner.restoreError(result.error) : undefined
+                });
+                break;
+            }
+        }
+    }
+
+    resolvePending(type, value) {
+        if (!this.pending || this.pending.type !== type) return;
+
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve(value);
+    }
+
+    // La ejecución terminó (bien, con error o detenida): se libera el worker
+    finish(result) {
+        if (this.finished) return;
+
+        this.terminate();
+
+        if (this.pending && this.pending.type === 'loaded') {
+            // Falló el worker antes de terminar de parsear
+            this.resolvePending('loaded', [result.error]);
+        } else {
+            this.resolvePending('done', result);
+        }
+    }
+
+    // Graba los pasos nuevos y lleva el tablero hasta el último
+    applySteps(steps) {
+        if (!this.trace || steps.length === 0) return;
+
+        for (const step of steps) {
+            this.trace.record(step);
+        }
+        this.position = this.trace.seek(this.interpreter, this.position, this.trace.length);
+    }
+
+    terminate() {
+        this.finished = true;
+        this.paused = false;
+        this.worker.terminate();
+    }
+
+    // Una copia, como QdrawExecutor (quien la recibe puede modificarla)
+    getActivations() {
+        return this.activations.slice();
+    }
+
+    // =====================================================
+    // DEPURACIÓN
+    // =====================================================
+
+    setBreakpoints(lines) {
+        this.breakpoints = Array.from(lines);
+        this.post({ type: 'breakpoints', lines: this.breakpoints });
+    }
+
+    // Pausar antes de la próxima instrucción (antes de execute, arranca pausado)
+    pause() {
+        if (this.paused) return;
+
+        if (this.running) {
+            this.post({ type: 'pause' });
+        } else {
+            this.startPaused = true;
+        }
+    }
+
+    resume() {
+        this.continueExecution(null);
+    }
+
+    stepInto() {
+        this.continueExecution('into');
+    }
+
+    stepOver() {
+        this.continueExecution('over');
+    }
+
+    stepOut() {
+        this.continueExecution('out');
+    }
+
+    continueExecution(stepMode) {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.post(stepMode ? { type: 'step', mode: stepMode } : { type: 'resume' });
+
+        if (this.onResume) {
+            this.onResume();
+        }
+    }
+
+    cancel() {
+        this.post({ type: 'cancel' });
+    }
+
+    post(message) {
+        if (!this.finished) {
+            this.worker.postMessage(message);
+        }
+    }
+
+    // Un error que llegó como objeto plano vuelve a ser de su clase
+    // (app.js distingue BOOM, límites y errores de sintaxis con instanceof)
+    static restoreError(data) {
+        const ErrorClass = WORKER_ERROR_CLASSES[data.name] || Error;
+        return Object.assign(Object.create(ErrorClass.prototype), data);
+    }
+}
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QdrawWorkerRunner
+    };
+}
@@ -0,0 +1,175 @@
+// =====================================================
+// QDRAW WORKER - EJECUCIÓN EN SEGUNDO PLANO
+// =====================================================
+// Tokeniza, parsea y ejecuta el programa en un Web Worker, así un
+// programa largo no traba el editor ni el botón Detener.
+// La página se comunica con él a través de runner.js.
+// =====================================================
+
+'use strict';
+
+importScripts('interpreter.js');
+
+/*
+ * Mensajes que recibe (de runner.js):
+ *
+ *   { type: 'load', code, colors }        Tokeniza y parsea; responde 'loaded'
+ *   { type: 'run', board, speed, breakpoints, startPaused }
+ *                                         Ejecuta lo cargado sobre el tablero
+ *                                         { width, height, mode, grid, headX, headY }
+ *   { type: 'pause' }                     Pausa antes de la próxima instrucción
+ *   { type: 'resume' }                    Continúa
+ *   { type: 'step', mode }                Un paso: 'into', 'over' o 'out'
+ *   { type: 'breakpoints', lines }        Reemplaza los puntos de interrupción
+ *   { type: 'cancel' }                    Detiene la ejecución
+ *
+ * Mensajes que manda:
+ *
+ *   { type: 'loaded', errors }            Errores de sintaxis (vacío si no hay)
+ *   { type: 'steps', steps, line, activations }
+ *                                         Pasos nuevos de la traza (ver QdrawTrace),
+ *                                         la línea en ejecución y la pila
+ *   { type: 'paused', line, reason, activations }
+ *   { type: 'done', result }              { success, message, error }
+ *
+ * Los errores viajan como objetos planos ({ name, message, code, line, ... })
+ * y runner.js los vuelve a convertir en QdrawError.
+ */
+
+// En instantáneo los pasos se mandan en tandas de a lo sumo este tiempo;
+// entre tanda y tanda el worker atiende los mensajes (pausa, detener)
+const WORKER_BATCH_MS = 16;
+
+let program = null;   // { ast, palette } del último 'load'
+let executor = null;
+let sentSteps = 0;    // Pasos de la traza ya mandados a la página
+let lastFlush = 0;
+
+// Los errores no se pueden mandar con su clase: se copian sus campos
+function serializeError(error) {
+    return { ...error, name: error.name, message: error.message };
+}
+
+// Manda los pasos de la traza que la página todavía no tiene
+function flushSteps() {
+    const steps = executor.trace.steps.slice(sentSteps);
+    sentSteps = executor.trace.length;
+    lastFlush = Date.now();
+
+    postMessage({
+        type: 'steps',
+        steps,
+        line: executor.currentStatement ? executor.currentStatement.line : null,
+        activations: executor.getActivations()
+    });
+}
+
+// Devuelve el control al worker para que procese los mensajes pendientes
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class QdrawWorkerExecutor extends QdrawExecutor {
+    // Cada tanto, antes de una instrucción, se mandan los pasos y se atienden
+    // los mensajes (también en ciclos que no mueven ni pintan)
+    async beforeStatement(stmt) {
+        if (Date.now() - lastFlush >= WORKER_BATCH_MS) {
+            flushSteps();
+            await yieldToMessages();
+        }
+        await super.beforeStatement(stmt);
+    }
+
+    // Lo mismo al final de cada vuelta: un ciclo de cuerpo vacío no pasa
+    // por beforeStatement y no se podría detener
+    async afterIteration() {
+        if (Date.now() - lastFlush >= WORKER_BATCH_MS) {
+            flushSteps();
+            await yieldToMessages();
+        }
+        await super.afterIteration();
+    }
+
+    // Con demora (Lento, Normal, Rápido) cada paso se manda enseguida
+    async delay() {
+        const ms = QdrawExecutor.getDelay(this.interpreter.speed);
+        if (ms === 0) return;
+
+        flushSteps();
+        await new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+function load({ code, colors }) {
+    const palette = QdrawPalette.withColors(colors);
+    const lexer = new QdrawTokenizer(code, palette).tokenizeWithRecovery();
+    const { ast, errors } = new QdrawParser(lexer.tokens).parseWithRecovery();
+    const syntaxErrors = [...lexer.errors, ...errors]
+        .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+    program = syntaxErrors.length === 0 ? { ast, palette } : null;
+    postMessage({ type: 'loaded', errors: syntaxErrors.map(serializeError) });
+}
+
+async function run({ board, speed, breakpoints, startPaused }) {
+    let result;
+    try {
+        const interpreter = new QdrawInterpreter(board.width, board.height, program.palette, board.mode);
+        interpreter.restoreState(board);
+        interpreter.speed = speed;
+
+        executor = new QdrawWorkerExecutor(interpreter, program.ast);
+        executor.trace = new QdrawTrace(interpreter.cloneState());
+        executor.setBreakpoints(breakpoints);
+        executor.onPause = (stmt, reason) => {
+            flushSteps();
+            postMessage({ type: 'paused', line: stmt.line, reason, activations: executor.getActivations() });
+        };
+        sentSteps = 0;
+        lastFlush = Date.now();
+
+        if (startPaused) {
+            executor.pause();
+        }
+
+        result = await executor.execute();
+        flushSteps();
+    } catch (error) {
+        // Procedimientos o funciones duplicados (los detecta el constructor),
+        // o un tablero que no se pudo armar: la página igual recibe 'done'
+        result = { success: false, message: error.message, error };
+    }
+
+    postMessage({
+        type: 'done',
+        result: { ...result, error: result.error ? serializeError(result.error) : undefined }
+    });
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'load':
+            load(message);
+            break;
+        case 'run':
+            run(message);
+            break;
+        case 'pause':
+            if (executor) executor.pause();
+            break;
+        case 'resume':
+            if (executor) executor.resume();
+            break;
+        case 'step':
+            if (executor) executor.continueExecution(message.mode);
+            break;
+        case 'breakpoints':
+            if (executor) executor.setBreakpoints(message.lines);
+            break;
+        case 'cancel':
+            if (executor) executor.cancel();
+            break;
+    }
+};